@@ -1,8 +1,16 @@
 // middleware/authMiddleware.js
-const jwt = require("jsonwebtoken");
+const tokenService = require("../services/tokenService");
+const personalTokenService = require("../services/personalTokenService");
 
-const authMiddleware = (req, res, next) => {
-  const authHeader = req.header("Authorization");
+// Build an auth middleware. Login JWTs are always accepted; personal access
+// tokens only on routes that list the scopes they need (options.scopes).
+// options.queryToken also accepts ?access_token= for clients that cannot set
+// headers (EventSource, <audio> elements).
+const authenticate = (options = {}) => async (req, res, next) => {
+  const requiredScopes = options.scopes || [];
+
+  const queryToken = options.queryToken && typeof req.query.access_token === "string" ? req.query.access_token : null;
+  const authHeader = req.header("Authorization") || (queryToken && `Bearer ${queryToken}`);
   if (!authHeader) {
     return res.status(401).json({ error: "No token provided" });
   }
@@ -12,24 +20,89 @@ const authMiddleware = (req, res, next) => {
     return res.status(401).json({ error: "Invalid token format" });
   }
 
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (personalTokenService.isPersonalToken(token)) {
+    if (requiredScopes.length === 0) {
+      return res.status(403).json({ error: "Personal access tokens cannot be used for this endpoint" });
+    }
 
-    // normalize user id
-    req.user = {
-      id: decoded.id || decoded.userId || decoded._id,
-    };
+    try {
+      const auth = await personalTokenService.authenticate(token);
+      if (!auth) {
+        return res.status(401).json({ error: "Invalid or revoked personal access token" });
+      }
 
-    if (!req.user.id) {
-      console.error("❌ Token decoded but no user ID found:", decoded);
-      return res.status(401).json({ error: "Invalid token payload" });
+      const missingScopes = requiredScopes.filter(scope => !auth.scopes.includes(scope));
+      if (missingScopes.length > 0) {
+        return res.status(403).json({ error: `Token is missing required scope: ${missingScopes.join(", ")}` });
+      }
+
+      req.user = {
+        id: String(auth.userId),
+        role: auth.role,
+        authType: "pat",
+        tokenId: auth.tokenId,
+        scopes: auth.scopes,
+        expiresAt: auth.expiresAt
+      };
+      return next();
+    } catch (err) {
+      console.error("❌ Personal access token lookup failed:", err.message);
+      return res.status(500).json({ error: "Failed to verify token" });
     }
+  }
 
-    next();
+  let decoded;
+  try {
+    decoded = tokenService.verifyAccessToken(token);
   } catch (err) {
     console.error("❌ Token verification failed:", err.message);
     return res.status(401).json({ error: "Invalid token" });
   }
+
+  // normalize user id
+  req.user = {
+    id: decoded.id || decoded.userId || decoded._id,
+    role: decoded.role || "candidate",
+    authType: "jwt",
+    sessionId: decoded.sid,
+    expiresAt: decoded.exp ? new Date(decoded.exp * 1000) : null
+  };
+
+  if (!req.user.id) {
+    console.error("❌ Token decoded but no user ID found:", decoded);
+    return res.status(401).json({ error: "Invalid token payload" });
+  }
+
+  try {
+    // Access tokens are only valid while their device session is
+    if (!(await tokenService.isSessionActive(req.user.sessionId, req.user.id))) {
+      return res.status(401).json({ error: "Session has been revoked. Please log in again." });
+    }
+  } catch (err) {
+    console.error("❌ Session lookup failed:", err.message);
+    return res.status(500).json({ error: "Failed to verify session" });
+  }
+
+  next();
+};
+
+const authMiddleware = authenticate();
+
+// Same as authMiddleware, but also lets through personal access tokens holding every listed scope
+authMiddleware.withScopes = (...scopes) => authenticate({ scopes });
+
+// For event streams: also takes the token from ?access_token=
+authMiddleware.forEventStream = (...scopes) => authenticate({ scopes, queryToken: true });
+
+// For media played straight from a URL (<audio src>): same as forEventStream
+authMiddleware.forMedia = authMiddleware.forEventStream;
+
+// For long-lived connections: whether the credentials req.user was built from still hold
+// (not expired, device session or personal token not revoked)
+authMiddleware.isStillValid = async (user) => {
+  if (user.expiresAt && user.expiresAt <= new Date()) return false;
+  if (user.authType === "pat") return personalTokenService.isTokenActive(user.tokenId);
+  return tokenService.isSessionActive(user.sessionId, user.id);
 };
 
 module.exports = authMiddleware;
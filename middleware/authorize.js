@@ -0,0 +1,34 @@
+// middleware/authorize.js
+// Role checks and ownership helpers. Must run after authMiddleware.
+
+const ROLES = ["candidate", "coach", "admin"];
+
+const hasRole = (user, ...roles) => !!user && roles.includes(user.role);
+
+// Route guard: only let users with one of the given roles through
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: "Authentication required" });
+  }
+
+  if (!hasRole(req.user, ...roles)) {
+    return res.status(403).json({ error: "You do not have permission to access this resource" });
+  }
+
+  next();
+};
+
+// True when the user owns the resource or holds one of the privileged roles
+const isOwnerOrRole = (user, ownerId, ...roles) => {
+  if (!user || !ownerId) return false;
+  const ownerIdString = String(ownerId._id || ownerId);
+  return ownerIdString === String(user.id) || hasRole(user, ...roles);
+};
+
+// Scope a Mongo query to the caller's own documents unless their role may see everyone's
+const ownedQuery = (req, query = {}, ...roles) => {
+  if (hasRole(req.user, ...roles)) return query;
+  return { ...query, userId: req.user.id };
+};
+
+module.exports = { ROLES, hasRole, requireRole, isOwnerOrRole, ownedQuery };
@@ -0,0 +1,110 @@
+// middleware/idempotency.js
+// Idempotency-Key support for routes clients may retry (double clicks, flaky networks).
+// The first request with a key runs normally and its response is stored; a retry with
+// the same key and body gets that response replayed instead of running again.
+// Must run after authMiddleware (keys are per user) and after any body parsing.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const IdempotencyKey = require("../models/idempotencyKey");
+
+const ttlMs = (parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+// A key still "processing" after this belonged to a request that never finished
+const staleProcessingMs = 2 * 60 * 1000;
+
+const hashRequest = (req) => {
+  const file = req.file ? { name: req.file.originalname, size: req.file.size } : null;
+  return crypto.createHash("sha256")
+    .update(JSON.stringify([req.method, req.baseUrl + req.path, req.body || {}, file]))
+    .digest("hex");
+};
+
+// Multer has already stored the upload of a request that won't run
+const discardUpload = (req) => {
+  if (req.file?.path) {
+    fs.unlink(req.file.path, () => {});
+  }
+};
+
+// Create the key record, or take over one left behind by a request that died
+const reserveKey = async (userId, key, requestHash) => {
+  const expiresAt = new Date(Date.now() + ttlMs);
+  try {
+    return { record: await IdempotencyKey.create({ userId, key, requestHash, expiresAt }), reserved: true };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const takenOver = await IdempotencyKey.findOneAndUpdate(
+    { userId, key, requestHash, status: "processing", updatedAt: { $lt: new Date(Date.now() - staleProcessingMs) } },
+    { $set: { expiresAt } },
+    { new: true }
+  );
+  if (takenOver) return { record: takenOver, reserved: true };
+
+  return { record: await IdempotencyKey.findOne({ userId, key }), reserved: false };
+};
+
+const idempotency = () => async (req, res, next) => {
+  const key = req.header("Idempotency-Key");
+  if (!key) return next();
+
+  if (key.length > 255) {
+    discardUpload(req);
+    return res.status(400).json({ error: "Idempotency-Key must be at most 255 characters" });
+  }
+
+  const requestHash = hashRequest(req);
+  let reservation;
+  try {
+    reservation = await reserveKey(req.user.id, key, requestHash);
+  } catch (error) {
+    console.error("Idempotency key error:", error);
+    discardUpload(req);
+    return res.status(500).json({ error: "Failed to process request" });
+  }
+
+  const { record, reserved } = reservation;
+
+  if (!reserved) {
+    discardUpload(req);
+
+    // Expired between the insert attempt and the lookup; the client can simply retry
+    if (!record) {
+      return res.status(409).json({ error: "Idempotency-Key conflict. Please retry." });
+    }
+    if (record.requestHash !== requestHash) {
+      return res.status(422).json({ error: "Idempotency-Key was already used for a different request" });
+    }
+    if (record.status === "processing") {
+      res.set("Retry-After", "1");
+      return res.status(409).json({ error: "A request with this Idempotency-Key is still being processed" });
+    }
+
+    res.set("Idempotent-Replayed", "true");
+    return res.status(record.responseStatus).json(record.responseBody);
+  }
+
+  // Capture the response so retries can be answered with it
+  let responseBody;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    responseBody = body;
+    return json(body);
+  };
+
+  res.on("finish", () => {
+    // Server errors aren't stored: a retry should get another chance
+    const done = res.statusCode >= 500
+      ? IdempotencyKey.deleteOne({ _id: record._id })
+      : IdempotencyKey.updateOne(
+        { _id: record._id },
+        { $set: { status: "completed", responseStatus: res.statusCode, responseBody } }
+      );
+    done.catch(error => console.error("Idempotency key update error:", error));
+  });
+
+  next();
+};
+
+module.exports = idempotency;
@@ -0,0 +1,100 @@
+// Minimal OpenID Connect provider for trying out single sign-on locally.
+// Every /authorize request is approved immediately as MOCK_OIDC_EMAIL.
+//
+//   node mock_oidc_server.js
+//
+// and in .env:
+//   OIDC_ISSUER=http://localhost:4000
+//   OIDC_CLIENT_ID=interviewiq
+//   OIDC_REDIRECT_URI=http://localhost:5000/api/auth/oidc/callback
+const express = require('express');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const port = parseInt(process.env.MOCK_OIDC_PORT) || 4000;
+const issuer = `http://localhost:${port}`;
+const user = {
+  sub: process.env.MOCK_OIDC_SUBJECT || 'mock-user-1',
+  email: process.env.MOCK_OIDC_EMAIL || 'sso.user@example.com',
+  name: process.env.MOCK_OIDC_NAME || 'SSO User',
+  email_verified: process.env.MOCK_OIDC_EMAIL_VERIFIED !== 'false'
+};
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const kid = crypto.randomBytes(8).toString('hex');
+
+// Issued authorization codes, waiting to be redeemed at /token
+const codes = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/token`,
+    jwks_uri: `${issuer}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+});
+
+app.get('/authorize', (req, res) => {
+  const { client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method } = req.query;
+  if (!client_id || !redirect_uri || !code_challenge || code_challenge_method !== 'S256') {
+    return res.status(400).send('client_id, redirect_uri and an S256 code_challenge are required');
+  }
+
+  const code = crypto.randomBytes(16).toString('hex');
+  codes.set(code, { clientId: client_id, redirectUri: redirect_uri, nonce, codeChallenge: code_challenge });
+  console.log(`✅ Approved login for ${user.email}`);
+
+  const url = new URL(redirect_uri);
+  url.searchParams.set('code', code);
+  if (state) url.searchParams.set('state', state);
+  res.redirect(url.toString());
+});
+
+app.post('/token', (req, res) => {
+  const { grant_type, code, redirect_uri, client_id, code_verifier } = req.body;
+  const request = codes.get(code);
+  codes.delete(code);
+
+  if (grant_type !== 'authorization_code' || !request) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+  if (request.clientId !== client_id || request.redirectUri !== redirect_uri) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'client or redirect_uri mismatch' });
+  }
+
+  const challenge = crypto.createHash('sha256').update(code_verifier || '').digest('base64url');
+  if (challenge !== request.codeChallenge) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const idToken = jwt.sign({ ...user, nonce: request.nonce }, privateKey, {
+    algorithm: 'RS256',
+    keyid: kid,
+    issuer,
+    audience: client_id,
+    expiresIn: '5m'
+  });
+
+  res.json({
+    access_token: crypto.randomBytes(16).toString('hex'),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  });
+});
+
+app.listen(port, () => {
+  console.log(`🔐 Mock OIDC provider running at ${issuer} (user: ${user.email})`);
+});
@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+// A personal data export request; the ZIP is built in the background
+const DataExportSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ["pending", "processing", "ready", "failed"],
+    default: "pending"
+  },
+  filePath: String,
+  fileSize: Number,
+  error: String,
+  startedAt: Date,
+  completedAt: Date,
+  expiresAt: Date // archive is deleted after this
+}, {
+  timestamps: true
+});
+
+DataExportSchema.index({ userId: 1, createdAt: -1 });
+DataExportSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model("DataExport", DataExportSchema);
@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+// Response stored for a client-supplied Idempotency-Key, replayed when the same request is retried
+const IdempotencyKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  requestHash: {
+    type: String,
+    required: true
+  }, // method, path and body; a key can't be reused for a different request
+  status: {
+    type: String,
+    enum: ["processing", "completed"],
+    default: "processing"
+  },
+  responseStatus: Number,
+  responseBody: mongoose.Schema.Types.Mixed,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+IdempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+IdempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("IdempotencyKey", IdempotencyKeySchema);
@@ -10,19 +10,50 @@ const InterviewSessionSchema = new mongoose.Schema({
       text: { type: String, required: true },
       timeLimit: { type: Number, default: 120 }, // seconds
       difficulty: { type: String, enum: ['easy', 'medium', 'hard'], default: 'medium' },
-      category: { type: String, default: 'general' }
+      category: { type: String, default: 'general' },
+      skippedAt: Date, // last time the question was skipped
+      isFollowUp: { type: Boolean, default: false },
+      parentIndex: Number, // follow-ups: the question whose answer prompted it
+      servedAt: Date, // server clock for the current attempt, set when the question is served
+      clockStoppedAt: Date // voice answers: when the recording arrived
     }], 
     default: [] 
   },
   answers: {
     type: [
       {
+        questionIndex: Number, // missing on older sessions, where it equals the array position
+        attempt: { type: Number, default: 1 },
         question: String,
         answer: String,
-        responseTime: Number, // seconds taken to answer
+        responseTime: Number, // seconds taken to answer (server-measured)
+        serverResponseTime: Number,
+        clientResponseTime: Number, // as reported by the client, kept for comparison
+        overTime: { type: Boolean, default: false }, // answered after timeLimit plus grace period
+        overTimeBy: Number, // seconds over timeLimit
         timestamp: { type: Date, default: Date.now },
         isVoiceAnswer: { type: Boolean, default: false },
-        audioFilePath: String
+        audioFilePath: String, // retained recording in uploads/audio, for playback
+        audioExpiresAt: Date, // when the retained recording is deleted
+        // Voice answers: how the answer was spoken (services/deliveryAnalysisService.js)
+        delivery: {
+          wordCount: Number,
+          duration: Number, // seconds of audio
+          speakingTime: Number, // seconds of speech, pauses excluded
+          speakingRatio: Number,
+          startDelay: Number, // seconds before the first word
+          wordsPerMinute: Number,
+          pauseCount: Number,
+          longPauseCount: Number,
+          longestPause: Number,
+          longPauses: [{ _id: false, start: Number, end: Number, duration: Number }],
+          fillerCount: Number,
+          fillersPerMinute: Number,
+          fillerWords: [{ _id: false, word: String, count: Number }]
+        },
+        // Feedback is generated by a background job; missing on older sessions, where it is always ready
+        feedbackStatus: { type: String, enum: ['pending', 'ready', 'failed'] },
+        feedbackJobId: { type: mongoose.Schema.Types.ObjectId, ref: "Job" }
       }
     ],
     default: []
@@ -30,6 +61,7 @@ const InterviewSessionSchema = new mongoose.Schema({
   feedback: {
     type: [{
       questionIndex: Number,
+      attempt: { type: Number, default: 1 },
       scores: {
         content: { type: Number, min: 1, max: 10 },
         clarity: { type: Number, min: 1, max: 10 },
@@ -42,20 +74,46 @@ const InterviewSessionSchema = new mongoose.Schema({
       strengths: [String],
       improvements: [String],
       wordCount: Number,
-      responseTime: Number
+      responseTime: Number,
+      timePenalty: Number, // points deducted for answering over time
+      // Voice answers only; scored separately and not part of overallScore
+      delivery: {
+        score: { type: Number, min: 1, max: 10 },
+        pace: { type: String, enum: ['slow', 'good', 'fast'] },
+        feedback: String,
+        suggestions: [String]
+      }
     }],
     default: []
   },
   status: { 
     type: String, 
-    enum: ['active', 'completed', 'abandoned'], 
+    enum: ['active', 'paused', 'completed', 'abandoned'], 
     default: 'active' 
   },
   settings: {
     timeLimit: { type: Number, default: 120 }, // default time per question
     difficulty: { type: String, enum: ['easy', 'medium', 'hard'], default: 'medium' },
     questionCount: { type: Number, default: 5 },
-    enableVoice: { type: Boolean, default: true }
+    enableVoice: { type: Boolean, default: true },
+    language: { type: String, default: 'en' },
+    maxAttempts: { type: Number, default: 3 }, // answers allowed per question
+    attemptScoring: { type: String, enum: ['best', 'latest'], default: 'best' }, // which attempt counts toward performance
+    autoComplete: { type: Boolean, default: true }, // finish as soon as every question has an answer
+    adaptive: { type: Boolean, default: false }, // pick each next question's difficulty from the scores so far
+    followUps: { type: Boolean, default: false }, // ask follow-up questions about answers
+    maxFollowUps: { type: Number, default: 3 } // follow-ups allowed per session
+  },
+  // Adaptive sessions: difficulty chosen for each question and why
+  difficultyPath: {
+    type: [{
+      questionIndex: Number,
+      difficulty: { type: String, enum: ['easy', 'medium', 'hard'] },
+      change: { type: String, enum: ['start', 'up', 'down', 'same'] },
+      basedOnScore: Number, // running score the decision was based on
+      timestamp: { type: Date, default: Date.now }
+    }],
+    default: []
   },
   performance: {
     overallScore: { type: Number, default: 0 },
@@ -72,7 +130,17 @@ const InterviewSessionSchema = new mongoose.Schema({
   startedAt: { type: Date, default: Date.now },
   completedAt: Date,
   lastActivity: { type: Date, default: Date.now },
-  processingVoice: { type: Boolean, default: false }
+  pausedAt: Date, // set while the session is paused
+  pausedDuration: { type: Number, default: 0 }, // total seconds spent paused
+  abandonedAt: Date,
+  abandonReason: { type: String, enum: ['user', 'inactive'] },
+  // Held while a voice answer is being transcribed; lapses at expiresAt
+  voiceLease: {
+    owner: String, // transcription job id
+    questionIndex: Number,
+    acquiredAt: Date,
+    expiresAt: Date
+  }
 }, { 
   timestamps: true 
 });
@@ -81,6 +149,7 @@ const InterviewSessionSchema = new mongoose.Schema({
 InterviewSessionSchema.index({ userId: 1, status: 1 });
 InterviewSessionSchema.index({ createdAt: -1 });
 InterviewSessionSchema.index({ role: 1 });
+InterviewSessionSchema.index({ status: 1, lastActivity: 1 });
 
 // Virtual for duration
 InterviewSessionSchema.virtual('duration').get(function() {
@@ -90,20 +159,117 @@ InterviewSessionSchema.virtual('duration').get(function() {
   return null;
 });
 
+// Question index an answer belongs to (older sessions stored answers strictly in order)
+InterviewSessionSchema.methods.getAnswerQuestionIndex = function(answer) {
+  return answer.questionIndex != null ? answer.questionIndex : this.answers.indexOf(answer);
+};
+
+// All attempts at a question, oldest first
+InterviewSessionSchema.methods.getAttempts = function(questionIndex) {
+  return this.answers.filter(answer => this.getAnswerQuestionIndex(answer) === questionIndex);
+};
+
+InterviewSessionSchema.methods.getQuestionStatus = function(questionIndex) {
+  if (this.getAttempts(questionIndex).length > 0) return 'answered';
+  return this.questions[questionIndex]?.skippedAt ? 'skipped' : 'pending';
+};
+
+// Planned number of questions; adaptive sessions generate them one at a time
+InterviewSessionSchema.methods.getTotalQuestions = function() {
+  return this.settings?.adaptive
+    ? Math.max((this.settings.questionCount || 0) + this.getFollowUpCount(), this.questions.length)
+    : this.questions.length;
+};
+
+InterviewSessionSchema.methods.getFollowUpCount = function() {
+  return this.questions.filter(question => question.isFollowUp).length;
+};
+
+// Number of distinct questions with at least one answer
+InterviewSessionSchema.methods.getAnsweredCount = function() {
+  return new Set(this.answers.map(answer => this.getAnswerQuestionIndex(answer))).size;
+};
+
+// Answers whose feedback job hasn't finished yet
+InterviewSessionSchema.methods.getPendingFeedbackCount = function() {
+  return this.answers.filter(answer => answer.feedbackStatus === 'pending').length;
+};
+
+// Public shape of a question, including where the candidate stands on it
+InterviewSessionSchema.methods.formatQuestion = function(index) {
+  const question = this.questions[index];
+  return {
+    index,
+    text: question.text,
+    timeLimit: question.timeLimit,
+    difficulty: question.difficulty,
+    category: question.category,
+    isFollowUp: question.isFollowUp || false,
+    parentIndex: question.parentIndex,
+    status: this.getQuestionStatus(index),
+    attempts: this.getAttempts(index).length,
+    maxAttempts: this.settings.maxAttempts
+  };
+};
+
+// Next question to serve: pending follow-ups first (they belong to the answer just
+// given), then the first question never answered or skipped, then skipped ones in
+// the order they were skipped. null once everything has an answer.
+InterviewSessionSchema.methods.getNextQuestionIndex = function() {
+  const followUpIndex = this.questions.findIndex((question, index) =>
+    question.isFollowUp && this.getQuestionStatus(index) === 'pending'
+  );
+  if (followUpIndex !== -1) return followUpIndex;
+
+  let nextSkipped = null;
+
+  for (let index = 0; index < this.questions.length; index++) {
+    const status = this.getQuestionStatus(index);
+    if (status === 'pending') return index;
+    if (status === 'skipped' && (nextSkipped === null || this.questions[index].skippedAt < this.questions[nextSkipped].skippedAt)) {
+      nextSkipped = index;
+    }
+  }
+
+  return nextSkipped;
+};
+
+// Feedback that counts toward performance: one entry per question, from the
+// best or the latest attempt depending on settings.attemptScoring
+InterviewSessionSchema.methods.getScoredFeedback = function() {
+  const useLatest = this.settings?.attemptScoring === 'latest';
+  const byQuestion = new Map();
+
+  this.feedback.forEach((fb, position) => {
+    // Older sessions have one feedback per answer, in answer order
+    const questionIndex = fb.questionIndex != null ? fb.questionIndex : position;
+    const current = byQuestion.get(questionIndex);
+    const better = useLatest
+      ? (fb.attempt || 1) >= (current?.attempt || 1)
+      : (fb.overallScore || 0) > (current?.overallScore || 0);
+    if (!current || better) byQuestion.set(questionIndex, fb);
+  });
+
+  return [...byQuestion.keys()].sort((a, b) => a - b).map(index => byQuestion.get(index));
+};
+
 // Method to calculate performance metrics
 InterviewSessionSchema.methods.calculatePerformance = function() {
   // Always calculate completion rate regardless of feedback
-  this.performance.completionRate = Math.round((this.answers.length / this.questions.length) * 100);
+  this.performance.completionRate = Math.round((this.getAnsweredCount() / this.getTotalQuestions()) * 100);
+  this.performance.totalTime = this.getAnsweringTime();
+
+  const scoredFeedback = this.getScoredFeedback();
   
   // Only calculate other metrics if feedback exists
-  if (this.feedback.length === 0) return;
+  if (scoredFeedback.length === 0) return;
 
-  const totalFeedback = this.feedback.length;
+  const totalFeedback = scoredFeedback.length;
   let totalOverallScore = 0;
   let categoryTotals = { content: 0, clarity: 0, confidence: 0, professionalism: 0 };
   let totalResponseTime = 0;
 
-  this.feedback.forEach(fb => {
+  scoredFeedback.forEach(fb => {
     totalOverallScore += fb.overallScore || 0;
     totalResponseTime += fb.responseTime || 0;
     
@@ -120,10 +286,83 @@ InterviewSessionSchema.methods.calculatePerformance = function() {
   });
 };
 
-// Method to check if session is expired (inactive for more than 1 hour)
-InterviewSessionSchema.methods.isExpired = function() {
-  const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
-  return this.status === 'active' && this.lastActivity < oneHourAgo;
+// Seconds spent answering, from the server-measured timings of every attempt.
+// Sessions from before server timing fall back to their active time.
+InterviewSessionSchema.methods.getAnsweringTime = function() {
+  const timed = this.answers.filter(answer => answer.serverResponseTime != null);
+  if (timed.length === 0) return this.getActiveTime();
+  return timed.reduce((sum, answer) => sum + answer.serverResponseTime, 0);
+};
+
+// Seconds spent in the interview so far, excluding time spent paused
+InterviewSessionSchema.methods.getActiveTime = function() {
+  const end = this.completedAt || this.getAbandonEnd() || this.pausedAt || new Date();
+  const elapsed = Math.round((end - this.startedAt) / 1000);
+  return Math.max(0, elapsed - (this.pausedDuration || 0));
+};
+
+InterviewSessionSchema.methods.pause = function() {
+  this.status = 'paused';
+  this.pausedAt = new Date();
+  this.lastActivity = this.pausedAt;
+};
+
+InterviewSessionSchema.methods.resume = function() {
+  const now = new Date();
+  if (this.pausedAt) {
+    this.pausedDuration = (this.pausedDuration || 0) + Math.round((now - this.pausedAt) / 1000);
+
+    // Question clocks don't run while paused
+    const pausedMs = now - this.pausedAt;
+    this.questions.forEach(question => {
+      if (question.servedAt && !question.clockStoppedAt) {
+        question.servedAt = new Date(question.servedAt.getTime() + pausedMs);
+      }
+    });
+  }
+  this.status = 'active';
+  this.pausedAt = undefined;
+  this.lastActivity = now;
+};
+
+InterviewSessionSchema.methods.complete = function() {
+  this.status = 'completed';
+  this.completedAt = new Date();
+  this.calculatePerformance();
+};
+
+// Sessions given up for inactivity end at their last activity, not when the sweeper noticed
+InterviewSessionSchema.methods.getAbandonEnd = function() {
+  if (!this.abandonedAt) return null;
+  return this.abandonReason === 'inactive' ? this.lastActivity : this.abandonedAt;
+};
+
+// Ends the session early; performance covers the questions answered so far
+InterviewSessionSchema.methods.abandon = function(reason = 'user') {
+  this.status = 'abandoned';
+  this.abandonedAt = new Date();
+  this.abandonReason = reason;
+
+  // Time paused up to the end does not count, same as on resume
+  if (this.pausedAt) {
+    const pausedSeconds = Math.round((this.getAbandonEnd() - this.pausedAt) / 1000);
+    this.pausedDuration = (this.pausedDuration || 0) + Math.max(0, pausedSeconds);
+    this.pausedAt = undefined;
+  }
+
+  this.calculatePerformance();
+};
+
+// Method to check if session is expired: active sessions after `activeTimeoutMs`
+// without activity (default 1 hour), paused ones after `pausedTimeoutMs` (default 24 hours)
+InterviewSessionSchema.methods.isExpired = function(activeTimeoutMs = 60 * 60 * 1000, pausedTimeoutMs = 24 * 60 * 60 * 1000) {
+  if (this.status === 'active') {
+    return this.lastActivity < new Date(Date.now() - activeTimeoutMs);
+  }
+  if (this.status === 'paused') {
+    return (this.pausedAt || this.lastActivity) < new Date(Date.now() - pausedTimeoutMs);
+  }
+  return false;
 };
 
 module.exports = mongoose.model("InterviewSession", InterviewSessionSchema);
@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+// Background work (feedback, transcription) shared between the web process and workers.
+// A worker claims a job by moving it to "processing" with lockedUntil in the future;
+// if it dies, the lock runs out and another worker picks the job up again.
+const JobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ["feedback", "transcription"],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ["queued", "processing", "completed", "failed"],
+    default: "queued"
+  },
+  payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+  result: mongoose.Schema.Types.Mixed,
+  error: String,
+  errorCode: String, // machine-readable reason, e.g. the STT codes of services/sttErrors.js
+  progress: mongoose.Schema.Types.Mixed, // latest progress report, e.g. { stage, percent }
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 3 },
+  runAt: { type: Date, default: Date.now }, // not claimed before this (retry backoff)
+  lockedBy: String, // worker id
+  lockedUntil: Date, // visibility timeout
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  sessionId: { type: mongoose.Schema.Types.ObjectId, ref: "InterviewSession" },
+  startedAt: Date,
+  finishedAt: Date,
+  notifiedAt: Date // session events for the outcome were published
+}, {
+  timestamps: true
+});
+
+JobSchema.index({ status: 1, runAt: 1 });
+JobSchema.index({ status: 1, lockedUntil: 1 });
+JobSchema.index({ status: 1, notifiedAt: 1 });
+JobSchema.index({ userId: 1, createdAt: -1 });
+// Finished jobs are only needed while clients poll for them
+JobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model("Job", JobSchema);
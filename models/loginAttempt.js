@@ -0,0 +1,44 @@
+const mongoose = require("mongoose");
+
+// Sign-in audit trail, also used to throttle repeated failures per email and IP
+const LoginAttemptSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User"
+  },
+  ipAddress: {
+    type: String,
+    default: ""
+  },
+  userAgent: {
+    type: String,
+    default: ""
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ["success", "invalid_password", "invalid_2fa", "unknown_user", "locked", "throttled"],
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+LoginAttemptSchema.index({ email: 1, createdAt: -1 });
+LoginAttemptSchema.index({ ipAddress: 1, createdAt: -1 });
+LoginAttemptSchema.index({ userId: 1, createdAt: -1 });
+// Keep 90 days of sign-in history
+LoginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model("LoginAttempt", LoginAttemptSchema);
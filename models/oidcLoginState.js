@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+
+// Pending OpenID Connect login: PKCE verifier and nonce between the redirect
+// to the identity provider and the callback, then the one-time handoff code
+// the frontend exchanges for our own tokens.
+const OidcLoginStateSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User"
+  }, // set once the provider confirmed the user
+  handoffCodeHash: {
+    type: String,
+    index: true,
+    sparse: true
+  },
+  consumedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Login attempts are short-lived
+OidcLoginStateSchema.index({ createdAt: 1 }, { expireAfterSeconds: 10 * 60 });
+
+module.exports = mongoose.model("OidcLoginState", OidcLoginStateSchema);
@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+// Named, scoped API token for scripts. Only the SHA-256 hash of the token is stored.
+const PersonalAccessTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  tokenPrefix: {
+    type: String,
+    required: true
+  }, // first characters of the token, shown in listings to tell tokens apart
+  scopes: {
+    type: [String],
+    default: []
+  },
+  lastUsedAt: Date,
+  expiresAt: Date, // optional; tokens without it never expire
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+PersonalAccessTokenSchema.index({ userId: 1, revokedAt: 1 });
+
+PersonalAccessTokenSchema.methods.isActive = function() {
+  if (this.revokedAt) return false;
+  return !this.expiresAt || this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model("PersonalAccessToken", PersonalAccessTokenSchema);
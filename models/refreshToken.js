@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+
+// One document per signed-in device. The raw refresh token is never stored,
+// only its SHA-256 hash; the hash is replaced on every rotation.
+const RefreshTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  previousTokenHash: {
+    type: String,
+    index: true
+  }, // kept after rotation to detect reuse of a stolen token
+  userAgent: {
+    type: String,
+    default: ""
+  },
+  ipAddress: {
+    type: String,
+    default: ""
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: String
+}, {
+  timestamps: true
+});
+
+RefreshTokenSchema.index({ userId: 1, revokedAt: 1 });
+// Let MongoDB drop expired device sessions on its own
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+RefreshTokenSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model("RefreshToken", RefreshTokenSchema);
@@ -14,12 +14,75 @@ const UserSchema = new mongoose.Schema(
         password: {
             type: String,
             required: true
-        } // store hashed password
+        }, // store hashed password
+        emailVerified: {
+            type: Boolean,
+            default: false
+        },
+        emailVerifiedAt: Date,
+        role: {
+            type: String,
+            enum: ["candidate", "coach", "admin"],
+            default: "candidate"
+        },
+        failedLoginAttempts: {
+            type: Number,
+            default: 0
+        },
+        lockUntil: Date,
+        twoFactor: {
+            enabled: {
+                type: Boolean,
+                default: false
+            },
+            secret: {
+                type: String,
+                select: false
+            }, // base32 TOTP secret
+            pendingSecret: {
+                type: String,
+                select: false
+            }, // secret awaiting confirmation during enrollment
+            recoveryCodes: {
+                type: [String],
+                select: false
+            }, // sha256 hashes of unused recovery codes
+            lastUsedStep: {
+                type: Number,
+                select: false
+            }, // last accepted time step, blocks code replay
+            enabledAt: Date
+        },
+        oidc: {
+            issuer: String,
+            subject: String,
+            linkedAt: Date
+        } // identity at the OpenID Connect provider, once linked
     },
     { timestamps: true }
 
 );
 
+// Fields that may leave the server. Anything else (password hash, 2FA
+// secrets, lockout counters) stays internal.
+const SAFE_FIELDS = ["_id", "name", "email", "role", "emailVerified", "emailVerifiedAt", "lockUntil", "createdAt", "updatedAt"];
+
+UserSchema.methods.toSafeObject = function() {
+    const safe = {};
+    SAFE_FIELDS.forEach(field => {
+        if (this[field] !== undefined) safe[field] = this[field];
+    });
+    safe.twoFactorEnabled = !!(this.twoFactor && this.twoFactor.enabled);
+    return safe;
+};
+
+// res.json(user) and populated users go through the same projection
+UserSchema.set("toJSON", {
+    transform: (doc) => doc.toSafeObject()
+});
+
+UserSchema.index({ "oidc.issuer": 1, "oidc.subject": 1 }, { unique: true, sparse: true });
+
 module.exports = mongoose.model("User", UserSchema);
 
 
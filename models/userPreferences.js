@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+
+// Per-user interview defaults, merged into POST /api/interview/start
+const UserPreferencesSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    unique: true
+  },
+  defaultRole: {
+    type: String,
+    trim: true,
+    default: ""
+  },
+  difficulty: {
+    type: String,
+    enum: ['easy', 'medium', 'hard'],
+    default: 'medium'
+  },
+  questionCount: {
+    type: Number,
+    min: 1,
+    max: 20,
+    default: 5
+  },
+  timeLimit: {
+    type: Number,
+    min: 30,
+    max: 600,
+    default: 120
+  }, // seconds per question
+  enableVoice: {
+    type: Boolean,
+    default: true
+  },
+  language: {
+    type: String,
+    default: 'en'
+  }, // ISO 639-1 code
+  useResume: {
+    type: Boolean,
+    default: false
+  },
+  retainAudio: {
+    type: Boolean,
+    default: false
+  } // keep voice recordings for playback (AUDIO_RETENTION_DAYS)
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model("UserPreferences", UserPreferencesSchema);
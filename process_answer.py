@@ -6,58 +6,110 @@ import tempfile
 import subprocess
 from faster_whisper import WhisperModel
 
-try:
-    # Arguments from Node.js
-    audio_path = sys.argv[1]
-    question = sys.argv[2]
-    
-    # Debug logging
-    print(f"🐍 Python script started", file=sys.stderr)
-    print(f"🐍 Audio path: {audio_path}", file=sys.stderr)
-    print(f"🐍 Question length: {len(question)}", file=sys.stderr)
-    print(f"🐍 Audio file exists: {os.path.exists(audio_path)}", file=sys.stderr)
-
-    # If the input is a webm/ogg/m4a/mp3 file, convert to wav (16k mono) using ffmpeg for best compatibility
+# Shared by this one-shot script and the long-lived transcription_worker.py
+
+
+class TranscriptionError(Exception):
+    # code is one of the STT error codes in services/sttErrors.js
+    def __init__(self, code, message):
+        super().__init__(message)
+        self.code = code
+
+
+def report_progress(stage, percent):
+    # Parsed by the Node layer and forwarded to the session event stream
+    print("PROGRESS " + json.dumps({"stage": stage, "percent": percent}), file=sys.stderr, flush=True)
+
+
+def load_model(model_size="tiny"):
+    # int8 on CPU keeps the small models fast enough for interactive use
+    return WhisperModel(model_size, device="cpu", compute_type="int8")
+
+
+def convert_to_wav(audio_path):
+    """Convert webm/ogg/m4a/mp3/opus to 16k mono wav with ffmpeg. Returns (path, temp path or None).
+    Uploads arrive as 16k mono wav already (services/audioProcessingService.js); this covers CLI use."""
     input_ext = os.path.splitext(audio_path)[1].lower()
-    temp_wav_path = None
-    if input_ext in [".webm", ".ogg", ".m4a", ".mp3", ".opus"]:
-        try:
-            fd, temp_wav_path = tempfile.mkstemp(suffix=".wav")
-            os.close(fd)
-            # ffmpeg -y -i input -ac 1 -ar 16000 output.wav
-            subprocess.run([
-                "ffmpeg", "-y", "-i", audio_path, "-ac", "1", "-ar", "16000", temp_wav_path
-            ], check=True, stdout=subprocess.DEVNULL, stderr=subprocess.DEVNULL)
-            audio_path = temp_wav_path
-        except FileNotFoundError:
-            # ffmpeg not installed or not in PATH
-            raise RuntimeError("FFmpeg not found. Please install FFmpeg and ensure it is in your PATH.")
-        except subprocess.CalledProcessError as e:
-            raise RuntimeError(f"FFmpeg failed to convert audio: {e}")
-
-    # 1️⃣ Transcribe with Whisper (using tiny model with improved settings)
-    print(f"🐍 Starting Whisper transcription", file=sys.stderr)
+    if input_ext not in [".webm", ".ogg", ".m4a", ".mp3", ".opus"]:
+        return audio_path, None
+
+    try:
+        fd, temp_wav_path = tempfile.mkstemp(suffix=".wav")
+        os.close(fd)
+        # ffmpeg -y -i input -ac 1 -ar 16000 output.wav
+        subprocess.run([
+            "ffmpeg", "-y", "-i", audio_path, "-ac", "1", "-ar", "16000", temp_wav_path
+        ], check=True, stdout=subprocess.DEVNULL, stderr=subprocess.DEVNULL)
+        return temp_wav_path, temp_wav_path
+    except FileNotFoundError:
+        # ffmpeg not installed or not in PATH
+        raise TranscriptionError("ffmpeg_missing", "FFmpeg not found. Please install FFmpeg and ensure it is in your PATH.")
+    except subprocess.CalledProcessError as e:
+        raise TranscriptionError("audio_invalid", f"FFmpeg failed to convert audio: {e}")
+
+
+def transcribe(model, audio_path, progress=report_progress, language="en"):
+    """Transcribe an audio file. Returns (transcript, seconds taken, segments, audio duration).
+    Segments carry start/end times and per-word timings for delivery analysis, plus Whisper's
+    confidence signals (avg_logprob, no_speech_prob, word probabilities) for transcript review."""
     start_time = time.time()
-    model = WhisperModel("tiny", device="cpu", compute_type="int8")  # Fast, improved accuracy with better beam search
-    print(f"🐍 Whisper model loaded", file=sys.stderr)
-    # Improved transcription settings: beam_size=5 for better accuracy, language hint for English
-    segments, info = model.transcribe(
-        audio_path, 
-        beam_size=5,  # Increased from 1 for better accuracy
-        best_of=5,    # Increased from 1 for better accuracy 
-        language="en",  # Hint that it's English
-        temperature=0.0,  # Deterministic output
-        vad_filter=True,  # Voice activity detection to filter silence
-        condition_on_previous_text=False  # Each segment independent
-    )
-    transcript = " ".join([segment.text for segment in segments]).strip()
-    print(f"🐍 Transcription completed: {len(transcript)} characters", file=sys.stderr)
-    
-    transcription_time = time.time() - start_time
-    
+    temp_wav_path = None
+    if not os.path.exists(audio_path):
+        raise TranscriptionError("audio_invalid", "Audio file not found or corrupted.")
+    try:
+        if os.path.splitext(audio_path)[1].lower() != ".wav":
+            progress("converting", 5)
+        audio_path, temp_wav_path = convert_to_wav(audio_path)
+
+        # Improved transcription settings: beam_size=5 for better accuracy, the session's language as hint
+        segments, info = model.transcribe(
+            audio_path,
+            beam_size=5,  # Increased from 1 for better accuracy
+            best_of=5,    # Increased from 1 for better accuracy
+            language=language,  # Skip detection: the session says what is spoken
+            temperature=0.0,  # Deterministic output
+            vad_filter=True,  # Voice activity detection to filter silence
+            condition_on_previous_text=False,  # Each segment independent
+            word_timestamps=True  # Per-word timings for pace and pause analysis
+        )
+        # Segments are generated lazily, so progress follows the position in the audio
+        progress("transcribing", 10)
+        texts = []
+        timed_segments = []
+        last_percent = 10
+        for segment in segments:
+            texts.append(segment.text)
+            timed_segments.append({
+                "start": round(segment.start, 2),
+                "end": round(segment.end, 2),
+                "text": segment.text.strip(),
+                "avg_logprob": round(segment.avg_logprob, 3),
+                "no_speech_prob": round(segment.no_speech_prob, 3),
+                "words": [
+                    {"word": w.word.strip(), "start": round(w.start, 2), "end": round(w.end, 2), "probability": round(w.probability, 3)}
+                    for w in (segment.words or [])
+                ]
+            })
+            if info.duration:
+                percent = 10 + int(min(segment.end / info.duration, 1.0) * 85)
+                if percent > last_percent:
+                    progress("transcribing", percent)
+                    last_percent = percent
+        progress("done", 100)
+        return " ".join(texts).strip(), time.time() - start_time, timed_segments, round(info.duration or 0, 2)
+    finally:
+        # Cleanup temporary wav if created
+        if temp_wav_path and os.path.exists(temp_wav_path):
+            try:
+                os.remove(temp_wav_path)
+            except Exception:
+                pass
+
+
+def basic_feedback(transcript):
     # Basic feedback using simple heuristics
     feedback = "Good response! Keep practicing to improve your interview skills."
-    
+
     # Simple feedback based on transcript length
     word_count = len(transcript.split())
     if word_count < 10:
@@ -66,44 +118,67 @@ try:
         feedback = "Good detailed response! Try to be more concise while keeping key points."
     elif transcript.lower().find("experience") != -1 or transcript.lower().find("project") != -1:
         feedback = "Great job mentioning specific experience! This adds credibility to your answer."
-    
-    # Return JSON
-    output = {
-        "transcript": transcript,
-        "feedback": feedback,
-        "processing_time": round(transcription_time, 2),
-        "word_count": word_count
-    }
-    print(json.dumps(output))
-
-    # Cleanup temporary wav if created
-    if temp_wav_path and os.path.exists(temp_wav_path):
-        try:
-            os.remove(temp_wav_path)
-        except Exception:
-            pass
-
-except Exception as e:
-    # Error handling with more specific error messages
-    error_msg = str(e)
-    if "No module named" in error_msg:
-        error_msg = f"Missing dependency: {error_msg}"
-    elif "FFmpeg" in error_msg:
-        error_msg = "FFmpeg not found. Please install FFmpeg."
-    elif "No such file" in error_msg:
-        error_msg = "Audio file not found or corrupted."
-    elif "timeout" in error_msg.lower():
-        error_msg = "Processing timeout. Try a shorter recording."
-    else:
-        error_msg = f"Audio processing error: {error_msg}"
-    
-    error_output = {
-        "transcript": "",
-        "feedback": "Error processing audio. Please try again.",
-        "error": error_msg,
-        "processing_time": 0,
-        "word_count": 0
-    }
-    print(json.dumps(error_output))
-    # Exit with non-zero so the Node layer treats it as a processing failure
-    sys.exit(1)
+    return feedback, word_count
+
+
+def describe_error(e):
+    """Returns (code, message) for an exception; codes match services/sttErrors.js."""
+    if isinstance(e, TranscriptionError):
+        return e.code, str(e)
+    if isinstance(e, ImportError):
+        return "engine_missing", f"Missing dependency: {e}"
+    if isinstance(e, FileNotFoundError):
+        return "audio_invalid", "Audio file not found or corrupted."
+    return "engine_error", f"Audio processing error: {e}"
+
+
+def main():
+    try:
+        # Arguments from Node.js
+        audio_path = sys.argv[1]
+        question = sys.argv[2]
+
+        # Debug logging
+        print(f"🐍 Python script started", file=sys.stderr)
+        print(f"🐍 Audio path: {audio_path}", file=sys.stderr)
+        print(f"🐍 Question length: {len(question)}", file=sys.stderr)
+        print(f"🐍 Audio file exists: {os.path.exists(audio_path)}", file=sys.stderr)
+
+        # 1️⃣ Transcribe with Whisper
+        print(f"🐍 Starting Whisper transcription", file=sys.stderr)
+        report_progress("loading_model", 0)
+        model = load_model(os.environ.get("WHISPER_MODEL_SIZE", "tiny"))
+        print(f"🐍 Whisper model loaded", file=sys.stderr)
+        transcript, transcription_time, segments, duration = transcribe(model, audio_path)
+        print(f"🐍 Transcription completed: {len(transcript)} characters", file=sys.stderr)
+
+        feedback, word_count = basic_feedback(transcript)
+
+        # Return JSON
+        output = {
+            "transcript": transcript,
+            "feedback": feedback,
+            "processing_time": round(transcription_time, 2),
+            "word_count": word_count,
+            "duration": duration,
+            "segments": segments
+        }
+        print(json.dumps(output))
+
+    except Exception as e:
+        code, message = describe_error(e)
+        error_output = {
+            "transcript": "",
+            "feedback": "Error processing audio. Please try again.",
+            "code": code,
+            "error": message,
+            "processing_time": 0,
+            "word_count": 0
+        }
+        print(json.dumps(error_output))
+        # Exit with non-zero so the Node layer treats it as a processing failure
+        sys.exit(1)
+
+
+if __name__ == "__main__":
+    main()
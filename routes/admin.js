@@ -0,0 +1,130 @@
+const express = require("express");
+const authMiddleware = require("../middleware/authMiddleware");
+const { ROLES, requireRole } = require("../middleware/authorize");
+const User = require("../models/user");
+const InterviewSession = require("../models/interviewSession");
+const analyticsService = require("../services/analyticsService");
+const loginSecurityService = require("../services/loginSecurityService");
+
+const router = express.Router();
+
+// Every admin route needs an authenticated user
+router.use(authMiddleware);
+
+// List users (coaches and admins)
+router.get("/users", requireRole("coach", "admin"), async (req, res) => {
+  try {
+    const { role, limit = 50, page = 1 } = req.query;
+
+    const query = {};
+    if (role) query.role = role;
+
+    const users = await User.find(query)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit))
+      .select("name email role emailVerified lockUntil twoFactor.enabled createdAt");
+
+    const total = await User.countDocuments(query);
+
+    res.json({
+      users: users.map(user => user.toSafeObject()),
+      pagination: {
+        current: parseInt(page),
+        total: Math.ceil(total / parseInt(limit)),
+        count: users.length,
+        totalUsers: total
+      }
+    });
+  } catch (error) {
+    console.error("Error fetching users:", error);
+    res.status(500).json({ error: "Failed to fetch users" });
+  }
+});
+
+// Change a user's role (admins only)
+router.put("/users/:userId/role", requireRole("admin"), async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(", ")}` });
+    }
+
+    if (String(req.params.userId) === String(req.user.id) && role !== "admin") {
+      return res.status(400).json({ error: "Admins cannot remove their own admin role" });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.userId,
+      { role },
+      { new: true }
+    );
+
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    res.json({ message: "Role updated successfully", user: user.toSafeObject() });
+  } catch (error) {
+    console.error("Error updating role:", error);
+    res.status(500).json({ error: "Failed to update role" });
+  }
+});
+
+// Unlock an account locked by failed logins (admins only)
+router.post("/users/:userId/unlock", requireRole("admin"), async (req, res) => {
+  try {
+    const unlocked = await loginSecurityService.unlock(req.params.userId);
+    if (!unlocked) return res.status(404).json({ error: "User not found" });
+
+    res.json({ message: "Account unlocked successfully" });
+  } catch (error) {
+    console.error("Error unlocking account:", error);
+    res.status(500).json({ error: "Failed to unlock account" });
+  }
+});
+
+// List a user's interview sessions (coaches and admins)
+router.get("/users/:userId/sessions", requireRole("coach", "admin"), async (req, res) => {
+  try {
+    const sessions = await InterviewSession.find({ userId: req.params.userId })
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .select("role status performance settings startedAt completedAt questions answers");
+
+    res.json({
+      sessions: sessions.map(session => ({
+        id: session._id,
+        role: session.role,
+        status: session.status,
+        overallScore: session.performance.overallScore,
+        questionsAnswered: session.getAnsweredCount(),
+        totalQuestions: session.getTotalQuestions(),
+        startedAt: session.startedAt,
+        completedAt: session.completedAt
+      }))
+    });
+  } catch (error) {
+    console.error("Error fetching user sessions:", error);
+    res.status(500).json({ error: "Failed to fetch user sessions" });
+  }
+});
+
+// Compare analytics across users (coaches and admins)
+router.post("/analytics/compare", requireRole("coach", "admin"), async (req, res) => {
+  try {
+    const { userIds } = req.body;
+    if (!Array.isArray(userIds) || userIds.length === 0) {
+      return res.status(400).json({ error: "userIds must be a non-empty array" });
+    }
+    if (userIds.length > 50) {
+      return res.status(400).json({ error: "Compare at most 50 users at a time" });
+    }
+
+    const comparison = await analyticsService.generateComparisonAnalytics(userIds);
+    res.json(comparison);
+  } catch (error) {
+    console.error("Error generating comparison analytics:", error);
+    res.status(500).json({ error: "Failed to generate comparison analytics" });
+  }
+});
+
+module.exports = router;
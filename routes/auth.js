@@ -1,10 +1,67 @@
 const express = require("express");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
 const User = require("../models/user");
+const authMiddleware = require("../middleware/authMiddleware");
+const tokenService = require("../services/tokenService");
+const mailService = require("../services/mailService");
+const loginSecurityService = require("../services/loginSecurityService");
+const totpService = require("../services/totpService");
+const personalTokenService = require("../services/personalTokenService");
+const accountService = require("../services/accountService");
+const exportService = require("../services/exportService");
+const oidcService = require("../services/oidcService");
 
 const router = express.Router();
 
+// Device details recorded against each refresh token
+const getClientContext = (req) => ({
+  userAgent: req.get("User-Agent") || "",
+  ipAddress: req.ip || ""
+});
+
+// Issue tokens once every login factor has been checked
+const completeLogin = async (req, res, email, user, context) => {
+  await loginSecurityService.recordSuccess(email, user, context);
+
+  const tokens = await tokenService.createSession(user, context);
+  res.json({
+    token: tokens.token,
+    refreshToken: tokens.refreshToken,
+    expiresIn: tokens.expiresIn,
+    user: user.toSafeObject()
+  });
+};
+
+// Check a TOTP code or a recovery code and persist what was used.
+// `user` must be loaded with the twoFactor secret fields selected.
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = totpService.verifyCode(user.twoFactor.secret, code);
+    if (step === null || (user.twoFactor.lastUsedStep != null && step <= user.twoFactor.lastUsedStep)) {
+      return false;
+    }
+    const result = await User.updateOne(
+      { _id: user._id, $or: [{ "twoFactor.lastUsedStep": null }, { "twoFactor.lastUsedStep": { $lt: step } }] },
+      { $set: { "twoFactor.lastUsedStep": step } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  if (recoveryCode) {
+    // Pulling the hash makes each recovery code single-use, even under concurrent requests
+    const result = await User.updateOne(
+      { _id: user._id, "twoFactor.recoveryCodes": totpService.hashRecoveryCode(recoveryCode) },
+      { $pull: { "twoFactor.recoveryCodes": totpService.hashRecoveryCode(recoveryCode) } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  return false;
+};
+
+const TWO_FACTOR_FIELDS = "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep";
+
 // SIGNUP
 router.post("/signup", async (req, res) => {
   try {
@@ -17,7 +74,14 @@ router.post("/signup", async (req, res) => {
     const user = new User({ name, email, password: hashedPassword });
     await user.save();
 
-    res.json({ message: "Signup successful", user });
+    // Signup succeeds even if the mail cannot be delivered; the user can resend
+    try {
+      await mailService.sendVerificationEmail(user, tokenService.signActionToken(user, "verify-email"));
+    } catch (mailError) {
+      console.error("Failed to send verification email:", mailError);
+    }
+
+    res.json({ message: "Signup successful", user: user.toSafeObject() });
   } catch (err) {
     console.error("Signup error:", err);
     res.status(500).json({ error: "Server error during signup" });
@@ -28,36 +92,779 @@ router.post("/signup", async (req, res) => {
 router.post("/login", async (req, res) => {
   try {
     const { email, password } = req.body;
+    const context = getClientContext(req);
+
+    const throttle = await loginSecurityService.checkThrottle(email, context.ipAddress);
+    if (!throttle.allowed) {
+      await loginSecurityService.recordAttempt(email, null, context, false, "throttled");
+      res.set("Retry-After", String(throttle.retryAfterSeconds));
+      return res.status(429).json({
+        error: "Too many failed login attempts. Please wait before trying again.",
+        retryAfter: throttle.retryAfterSeconds
+      });
+    }
+
     const user = await User.findOne({ email });
-    if (!user) return res.status(400).json({ error: "Invalid email or password" });
+    if (!user) {
+      await loginSecurityService.recordFailure(email, null, context, "unknown_user");
+      return res.status(400).json({ error: "Invalid email or password" });
+    }
+
+    if (loginSecurityService.isLocked(user)) {
+      await loginSecurityService.recordAttempt(email, user, context, false, "locked");
+      return res.status(423).json({
+        error: "Account is temporarily locked after too many failed attempts. Try again later or reset your password.",
+        lockedUntil: user.lockUntil
+      });
+    }
 
     const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) return res.status(400).json({ error: "Invalid email or password" });
+    if (!isMatch) {
+      const lockUntil = await loginSecurityService.recordFailure(email, user, context, "invalid_password");
+      if (lockUntil) {
+        return res.status(423).json({
+          error: "Account is temporarily locked after too many failed attempts. Try again later or reset your password.",
+          lockedUntil: lockUntil
+        });
+      }
+      return res.status(400).json({ error: "Invalid email or password" });
+    }
+
+    // Second step: exchange the challenge token with a code at /login/2fa
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: tokenService.signActionToken(user, "2fa-challenge"),
+        expiresIn: tokenService.actionTokenTtls["2fa-challenge"]
+      });
+    }
 
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: "7d" });
-    res.json({ token, user: { _id: user._id, name: user.name, email: user.email } });
+    await completeLogin(req, res, email, user, context);
   } catch (err) {
     console.error("Login error:", err);
     res.status(500).json({ error: "Server error during login" });
   }
 });
 
-// PROFILE (Protected)
-router.get("/me", async (req, res) => {
+// LOGIN - second factor
+router.post("/login/2fa", async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    const context = getClientContext(req);
+
+    if (!challengeToken) return res.status(400).json({ error: "Challenge token is required" });
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ error: "Authentication code or recovery code is required" });
+    }
+
+    const payload = tokenService.decodeActionToken(challengeToken, "2fa-challenge");
+    const user = payload ? await User.findById(payload.id).select(TWO_FACTOR_FIELDS) : null;
+    if (!user || !user.twoFactor.enabled || !tokenService.verifyActionToken(challengeToken, "2fa-challenge", user)) {
+      return res.status(401).json({ error: "Login challenge is invalid or has expired. Please log in again." });
+    }
+
+    const throttle = await loginSecurityService.checkThrottle(user.email, context.ipAddress);
+    if (!throttle.allowed) {
+      await loginSecurityService.recordAttempt(user.email, user, context, false, "throttled");
+      res.set("Retry-After", String(throttle.retryAfterSeconds));
+      return res.status(429).json({
+        error: "Too many failed login attempts. Please wait before trying again.",
+        retryAfter: throttle.retryAfterSeconds
+      });
+    }
+
+    if (loginSecurityService.isLocked(user)) {
+      await loginSecurityService.recordAttempt(user.email, user, context, false, "locked");
+      return res.status(423).json({
+        error: "Account is temporarily locked after too many failed attempts. Try again later or reset your password.",
+        lockedUntil: user.lockUntil
+      });
+    }
+
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+      const lockUntil = await loginSecurityService.recordFailure(user.email, user, context, "invalid_2fa");
+      if (lockUntil) {
+        return res.status(423).json({
+          error: "Account is temporarily locked after too many failed attempts. Try again later or reset your password.",
+          lockedUntil: lockUntil
+        });
+      }
+      return res.status(400).json({ error: "Invalid authentication code" });
+    }
+
+    await completeLogin(req, res, user.email, user, context);
+  } catch (err) {
+    console.error("Two-factor login error:", err);
+    res.status(500).json({ error: "Server error during login" });
+  }
+});
+
+// SINGLE SIGN-ON - lets the frontend decide whether to show the SSO button
+router.get("/oidc", (req, res) => {
+  res.json({
+    enabled: oidcService.isEnabled(),
+    providerName: oidcService.providerName
+  });
+});
+
+// SINGLE SIGN-ON - start: redirect to the identity provider
+// ?mode=json returns the URL instead, for clients that navigate themselves
+// (the request must still come from the browser so it receives the state cookie)
+router.get("/oidc/login", async (req, res) => {
+  if (!oidcService.isEnabled()) {
+    return res.status(404).json({ error: "Single sign-on is not configured" });
+  }
+
+  try {
+    const { url, stateCookie } = await oidcService.createAuthorizationUrl();
+    res.cookie(oidcService.stateCookieName, stateCookie, oidcService.getStateCookieOptions());
+    if (req.query.mode === "json") return res.json({ url });
+    res.redirect(url);
+  } catch (err) {
+    console.error("OIDC login error:", err);
+    res.status(502).json({ error: "Identity provider is unavailable" });
+  }
+});
+
+// SINGLE SIGN-ON - provider callback. Hands the browser back to the frontend
+// with a one-time code; tokens never appear in a URL.
+router.get("/oidc/callback", async (req, res) => {
+  if (!oidcService.isEnabled()) {
+    return res.status(404).json({ error: "Single sign-on is not configured" });
+  }
+
+  const stateCookie = oidcService.readStateCookie(req.headers.cookie);
+  const { maxAge, ...cookieOptions } = oidcService.getStateCookieOptions();
+  res.clearCookie(oidcService.stateCookieName, cookieOptions);
+
+  if (req.query.error) {
+    console.error("OIDC provider returned an error:", req.query.error, req.query.error_description || "");
+    return res.redirect(oidcService.buildFrontendRedirect({ error: "provider_denied" }));
+  }
+
+  try {
+    const code = await oidcService.handleCallback({ code: req.query.code, state: req.query.state, stateCookie });
+    res.redirect(oidcService.buildFrontendRedirect({ code }));
+  } catch (err) {
+    console.error("OIDC callback error:", err.message);
+    res.redirect(oidcService.buildFrontendRedirect({ error: "login_failed" }));
+  }
+});
+
+// SINGLE SIGN-ON - exchange the one-time code for our usual tokens
+router.post("/oidc/token", async (req, res) => {
+  try {
+    const { code } = req.body || {};
+    const context = getClientContext(req);
+
+    if (!code) return res.status(400).json({ error: "Code is required" });
+
+    const userId = await oidcService.redeemHandoffCode(code);
+    const user = userId ? await User.findById(userId) : null;
+    if (!user) {
+      return res.status(401).json({ error: "Sign-in code is invalid or has expired. Please try again." });
+    }
+
+    if (loginSecurityService.isLocked(user)) {
+      await loginSecurityService.recordAttempt(user.email, user, context, false, "locked");
+      return res.status(423).json({
+        error: "Account is temporarily locked after too many failed attempts. Try again later or reset your password.",
+        lockedUntil: user.lockUntil
+      });
+    }
+
+    // Accounts with local 2FA still need their code, same as a password login
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: tokenService.signActionToken(user, "2fa-challenge"),
+        expiresIn: tokenService.actionTokenTtls["2fa-challenge"]
+      });
+    }
+
+    await completeLogin(req, res, user.email, user, context);
+  } catch (err) {
+    console.error("OIDC token error:", err);
+    res.status(500).json({ error: "Server error during login" });
+  }
+});
+
+// REFRESH - rotate the refresh token and issue a new access token
+router.post("/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) return res.status(400).json({ error: "Refresh token is required" });
+
+    const tokens = await tokenService.rotateRefreshToken(refreshToken, getClientContext(req));
+    if (!tokens) return res.status(401).json({ error: "Invalid or expired refresh token" });
+
+    res.json({
+      token: tokens.token,
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn
+    });
+  } catch (err) {
+    console.error("Token refresh error:", err);
+    res.status(500).json({ error: "Server error during token refresh" });
+  }
+});
+
+// LOGOUT - end the current device session
+router.post("/logout", authMiddleware, async (req, res) => {
+  try {
+    await tokenService.revokeSession(req.user.sessionId, "logout", req.user.id);
+    res.json({ message: "Logged out successfully" });
+  } catch (err) {
+    console.error("Logout error:", err);
+    res.status(500).json({ error: "Server error during logout" });
+  }
+});
+
+// LOGOUT ALL - end every device session of the user
+router.post("/logout-all", authMiddleware, async (req, res) => {
+  try {
+    const revoked = await tokenService.revokeAllSessions(req.user.id);
+    res.json({ message: "Logged out from all devices", revokedSessions: revoked });
+  } catch (err) {
+    console.error("Logout all error:", err);
+    res.status(500).json({ error: "Server error during logout" });
+  }
+});
+
+// ACTIVE DEVICE SESSIONS (Protected)
+router.get("/sessions", authMiddleware, async (req, res) => {
+  try {
+    const sessions = await tokenService.listSessions(req.user.id);
+    res.json({
+      sessions: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        lastUsedAt: session.lastUsedAt,
+        createdAt: session.createdAt,
+        expiresAt: session.expiresAt,
+        current: String(session._id) === String(req.user.sessionId)
+      }))
+    });
+  } catch (err) {
+    console.error("Session list error:", err);
+    res.status(500).json({ error: "Failed to fetch sessions" });
+  }
+});
+
+// REVOKE A SINGLE DEVICE SESSION (Protected)
+router.delete("/sessions/:sessionId", authMiddleware, async (req, res) => {
+  try {
+    // A malformed id can't name a session; don't let it surface as a cast error
+    if (!mongoose.isValidObjectId(req.params.sessionId)) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+
+    const revoked = await tokenService.revokeSession(req.params.sessionId, "revoked_by_user", req.user.id);
+    if (!revoked) return res.status(404).json({ error: "Session not found" });
+
+    res.json({ message: "Session revoked successfully" });
+  } catch (err) {
+    console.error("Session revoke error:", err);
+    res.status(500).json({ error: "Failed to revoke session" });
+  }
+});
+
+// VERIFY EMAIL
+router.post("/verify-email", async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) return res.status(400).json({ error: "Verification token is required" });
+
+    const payload = tokenService.decodeActionToken(token, "verify-email");
+    const user = payload ? await User.findById(payload.id) : null;
+    if (!user || !tokenService.verifyActionToken(token, "verify-email", user)) {
+      return res.status(400).json({ error: "Invalid or expired verification link" });
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+
+    res.json({ message: "Email verified successfully" });
+  } catch (err) {
+    console.error("Email verification error:", err);
+    res.status(500).json({ error: "Server error during email verification" });
+  }
+});
+
+// RESEND VERIFICATION EMAIL (Protected)
+router.post("/verify-email/resend", authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: "User not found" });
+    if (user.emailVerified) return res.status(400).json({ error: "Email is already verified" });
+
+    await mailService.sendVerificationEmail(user, tokenService.signActionToken(user, "verify-email"));
+    res.json({ message: "Verification email sent" });
+  } catch (err) {
+    console.error("Resend verification error:", err);
+    res.status(500).json({ error: "Failed to send verification email" });
+  }
+});
+
+// FORGOT PASSWORD - always answers the same way so emails can't be probed
+router.post("/forgot-password", async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) return res.status(400).json({ error: "Email is required" });
+
+    const user = await User.findOne({ email });
+    if (user) {
+      await mailService.sendPasswordResetEmail(user, tokenService.signActionToken(user, "reset-password"));
+    }
+
+    res.json({ message: "If an account exists for that email, a reset link has been sent" });
+  } catch (err) {
+    console.error("Forgot password error:", err);
+    res.status(500).json({ error: "Server error during password reset request" });
+  }
+});
+
+// RESET PASSWORD
+router.post("/reset-password", async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!token) return res.status(400).json({ error: "Reset token is required" });
+    if (!password || password.length < 8) {
+      return res.status(400).json({ error: "Password must be at least 8 characters" });
+    }
+
+    const payload = tokenService.decodeActionToken(token, "reset-password");
+    const user = payload ? await User.findById(payload.id) : null;
+    if (!user || !tokenService.verifyActionToken(token, "reset-password", user)) {
+      return res.status(400).json({ error: "Invalid or expired reset link" });
+    }
+
+    user.password = await bcrypt.hash(password, 10);
+    // Following the emailed link proves the user controls the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    // Whoever knew the old password should not stay signed in
+    await tokenService.revokeAllSessions(user._id, "password_reset");
+    await loginSecurityService.unlock(user._id);
+
+    res.json({ message: "Password has been reset. Please log in with your new password." });
+  } catch (err) {
+    console.error("Reset password error:", err);
+    res.status(500).json({ error: "Server error during password reset" });
+  }
+});
+
+// TWO-FACTOR SETUP - start enrollment (Protected)
+router.post("/2fa/setup", authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+    if (!user) return res.status(404).json({ error: "User not found" });
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ error: "Two-factor authentication is already enabled" });
+    }
+
+    const secret = totpService.generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      secret,
+      otpauthUri: totpService.getProvisioningUri(secret, user.email),
+      message: "Scan the QR code with your authenticator app, then confirm with a code"
+    });
+  } catch (err) {
+    console.error("Two-factor setup error:", err);
+    res.status(500).json({ error: "Failed to start two-factor setup" });
+  }
+});
+
+// TWO-FACTOR ENABLE - confirm enrollment with a code (Protected)
+router.post("/2fa/enable", authMiddleware, async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+    if (!user) return res.status(404).json({ error: "User not found" });
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ error: "Two-factor authentication is already enabled" });
+    }
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ error: "Start two-factor setup first" });
+    }
+
+    const step = totpService.verifyCode(user.twoFactor.pendingSecret, code);
+    if (step === null) return res.status(400).json({ error: "Invalid authentication code" });
+
+    const recoveryCodes = totpService.generateRecoveryCodes();
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = recoveryCodes.map(c => totpService.hashRecoveryCode(c));
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    res.json({
+      message: "Two-factor authentication enabled",
+      recoveryCodes // shown once; only hashes are stored
+    });
+  } catch (err) {
+    console.error("Two-factor enable error:", err);
+    res.status(500).json({ error: "Failed to enable two-factor authentication" });
+  }
+});
+
+// TWO-FACTOR DISABLE - needs the password and a code (Protected)
+router.post("/2fa/disable", authMiddleware, async (req, res) => {
   try {
-    const authHeader = req.header("Authorization");
-    if (!authHeader) return res.status(401).json({ error: "No token provided" });
+    const { password, code, recoveryCode } = req.body;
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+    if (!user) return res.status(404).json({ error: "User not found" });
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ error: "Two-factor authentication is not enabled" });
+    }
+
+    const isMatch = password && await bcrypt.compare(password, user.password);
+    if (!isMatch) return res.status(400).json({ error: "Incorrect password" });
 
-    const token = authHeader.split(" ")[1];
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+      return res.status(400).json({ error: "Invalid authentication code" });
+    }
 
-    const user = await User.findById(decoded.id).select("-password");
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { "twoFactor.enabled": false }, $unset: { "twoFactor.secret": 1, "twoFactor.pendingSecret": 1, "twoFactor.recoveryCodes": 1, "twoFactor.lastUsedStep": 1, "twoFactor.enabledAt": 1 } }
+    );
+
+    res.json({ message: "Two-factor authentication disabled" });
+  } catch (err) {
+    console.error("Two-factor disable error:", err);
+    res.status(500).json({ error: "Failed to disable two-factor authentication" });
+  }
+});
+
+// TWO-FACTOR RECOVERY CODES - replace all recovery codes (Protected)
+router.post("/2fa/recovery-codes", authMiddleware, async (req, res) => {
+  try {
+    const { code } = req.body;
+    const context = getClientContext(req);
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
     if (!user) return res.status(404).json({ error: "User not found" });
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ error: "Two-factor authentication is not enabled" });
+    }
+
+    // Same backoff as the login step, so a stolen access token can't be used to guess codes
+    const throttle = await loginSecurityService.checkThrottle(user.email, context.ipAddress);
+    if (!throttle.allowed) {
+      await loginSecurityService.recordAttempt(user.email, user, context, false, "throttled");
+      res.set("Retry-After", String(throttle.retryAfterSeconds));
+      return res.status(429).json({
+        error: "Too many failed attempts. Please wait before trying again.",
+        retryAfter: throttle.retryAfterSeconds
+      });
+    }
 
-    res.json(user);
+    if (!(await verifySecondFactor(user, { code }))) {
+      const lockUntil = await loginSecurityService.recordFailure(user.email, user, context, "invalid_2fa");
+      if (lockUntil) {
+        return res.status(423).json({
+          error: "Account is temporarily locked after too many failed attempts. Try again later or reset your password.",
+          lockedUntil: lockUntil
+        });
+      }
+      return res.status(400).json({ error: "Invalid authentication code" });
+    }
+
+    const recoveryCodes = totpService.generateRecoveryCodes();
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { "twoFactor.recoveryCodes": recoveryCodes.map(c => totpService.hashRecoveryCode(c)) } }
+    );
+
+    res.json({ recoveryCodes });
+  } catch (err) {
+    console.error("Recovery code regeneration error:", err);
+    res.status(500).json({ error: "Failed to regenerate recovery codes" });
+  }
+});
+
+// PERSONAL ACCESS TOKENS - list (Protected)
+router.get("/tokens", authMiddleware, async (req, res) => {
+  try {
+    const tokens = await personalTokenService.listTokens(req.user.id);
+    res.json({
+      tokens: tokens.map(token => ({
+        id: token._id,
+        name: token.name,
+        tokenPrefix: token.tokenPrefix,
+        scopes: token.scopes,
+        lastUsedAt: token.lastUsedAt,
+        expiresAt: token.expiresAt,
+        createdAt: token.createdAt
+      })),
+      availableScopes: personalTokenService.scopes
+    });
+  } catch (err) {
+    console.error("Token list error:", err);
+    res.status(500).json({ error: "Failed to fetch tokens" });
+  }
+});
+
+// PERSONAL ACCESS TOKENS - create (Protected)
+router.post("/tokens", authMiddleware, async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ error: "Token name is required" });
+    }
+    if (String(name).trim().length > 100) {
+      return res.status(400).json({ error: "Token name must be at most 100 characters" });
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ error: "At least one scope is required" });
+    }
+    const invalidScopes = personalTokenService.findInvalidScopes(scopes);
+    if (invalidScopes.length > 0) {
+      return res.status(400).json({ error: `Unknown scope: ${invalidScopes.join(", ")}` });
+    }
+    if (expiresInDays !== undefined && !(Number(expiresInDays) > 0)) {
+      return res.status(400).json({ error: "expiresInDays must be a positive number" });
+    }
+
+    const { token, record } = await personalTokenService.createToken(req.user.id, {
+      name: String(name).trim(),
+      scopes,
+      expiresInDays: expiresInDays !== undefined ? Number(expiresInDays) : undefined
+    });
+
+    res.status(201).json({
+      message: "Token created. Copy it now - it will not be shown again.",
+      token,
+      id: record._id,
+      name: record.name,
+      scopes: record.scopes,
+      expiresAt: record.expiresAt
+    });
+  } catch (err) {
+    if (err.status === 400) {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error("Token create error:", err);
+    res.status(500).json({ error: "Failed to create token" });
+  }
+});
+
+// PERSONAL ACCESS TOKENS - revoke (Protected)
+router.delete("/tokens/:tokenId", authMiddleware, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.tokenId)) {
+      return res.status(404).json({ error: "Token not found" });
+    }
+
+    const revoked = await personalTokenService.revokeToken(req.params.tokenId, req.user.id);
+    if (!revoked) return res.status(404).json({ error: "Token not found" });
+
+    res.json({ message: "Token revoked successfully" });
+  } catch (err) {
+    console.error("Token revoke error:", err);
+    res.status(500).json({ error: "Failed to revoke token" });
+  }
+});
+
+// PROFILE (Protected)
+router.get("/me", authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const recentLogins = await loginSecurityService.getRecentActivity(user._id);
+
+    res.json({
+      ...user.toSafeObject(),
+      emailVerified: !!user.emailVerified,
+      requiresEmailVerification: !user.emailVerified,
+      recentLogins
+    });
   } catch (err) {
     console.error("Auth check error:", err);
-    res.status(401).json({ error: "Invalid token" });
+    res.status(500).json({ error: "Failed to fetch profile" });
+  }
+});
+
+// UPDATE PROFILE (Protected) - changing the email needs the current password
+router.put("/me", authMiddleware, async (req, res) => {
+  try {
+    const { name, email, currentPassword } = req.body;
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    if (name !== undefined) {
+      if (!String(name).trim()) return res.status(400).json({ error: "Name cannot be empty" });
+      user.name = String(name).trim();
+    }
+
+    let emailChanged = false;
+    if (email !== undefined && email !== user.email) {
+      if (!String(email).trim()) return res.status(400).json({ error: "Email cannot be empty" });
+
+      const isMatch = currentPassword && await bcrypt.compare(currentPassword, user.password);
+      if (!isMatch) return res.status(400).json({ error: "Current password is incorrect" });
+
+      const existingUser = await User.findOne({ email });
+      if (existingUser) return res.status(400).json({ error: "Email is already in use" });
+
+      user.email = String(email).trim();
+      user.emailVerified = false;
+      user.emailVerifiedAt = undefined;
+      emailChanged = true;
+    }
+
+    await user.save();
+
+    if (emailChanged) {
+      try {
+        await mailService.sendVerificationEmail(user, tokenService.signActionToken(user, "verify-email"));
+      } catch (mailError) {
+        console.error("Failed to send verification email:", mailError);
+      }
+    }
+
+    res.json({
+      message: emailChanged ? "Profile updated. Please verify your new email address." : "Profile updated",
+      user: user.toSafeObject()
+    });
+  } catch (err) {
+    console.error("Profile update error:", err);
+    res.status(500).json({ error: "Failed to update profile" });
+  }
+});
+
+// CHANGE PASSWORD (Protected) - signs out every other device
+router.post("/change-password", authMiddleware, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (!newPassword || newPassword.length < 8) {
+      return res.status(400).json({ error: "New password must be at least 8 characters" });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const isMatch = currentPassword && await bcrypt.compare(currentPassword, user.password);
+    if (!isMatch) return res.status(400).json({ error: "Current password is incorrect" });
+
+    user.password = await bcrypt.hash(newPassword, 10);
+    await user.save();
+
+    await tokenService.revokeAllSessions(user._id, "password_changed", req.user.sessionId);
+
+    res.json({ message: "Password changed successfully" });
+  } catch (err) {
+    console.error("Change password error:", err);
+    res.status(500).json({ error: "Failed to change password" });
+  }
+});
+
+// Shape of an export request in API responses
+const formatExport = (exportDoc) => ({
+  exportId: exportDoc._id,
+  status: exportDoc.status,
+  fileSize: exportDoc.fileSize,
+  error: exportDoc.error,
+  requestedAt: exportDoc.createdAt,
+  completedAt: exportDoc.completedAt,
+  expiresAt: exportDoc.expiresAt,
+  downloadUrl: exportDoc.status === "ready" ? `/api/auth/me/export/${exportDoc._id}/download` : undefined
+});
+
+// DATA EXPORT - request a ZIP of all personal data (Protected)
+router.post("/me/export", authMiddleware, async (req, res) => {
+  try {
+    const exportDoc = await exportService.requestExport(req.user.id);
+    res.status(202).json({
+      message: "Export started. Poll the status URL until it is ready.",
+      statusUrl: `/api/auth/me/export/${exportDoc._id}`,
+      ...formatExport(exportDoc)
+    });
+  } catch (err) {
+    console.error("Export request error:", err);
+    res.status(500).json({ error: "Failed to start data export" });
+  }
+});
+
+// DATA EXPORT - status (Protected)
+router.get("/me/export/:exportId", authMiddleware, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.exportId)) {
+      return res.status(404).json({ error: "Export not found" });
+    }
+
+    const exportDoc = await exportService.getExport(req.params.exportId, req.user.id);
+    if (!exportDoc) return res.status(404).json({ error: "Export not found" });
+
+    res.json(formatExport(exportDoc));
+  } catch (err) {
+    console.error("Export status error:", err);
+    res.status(500).json({ error: "Failed to fetch export status" });
+  }
+});
+
+// DATA EXPORT - download the archive (Protected)
+router.get("/me/export/:exportId/download", authMiddleware, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.exportId)) {
+      return res.status(404).json({ error: "Export not found" });
+    }
+
+    const exportDoc = await exportService.getExport(req.params.exportId, req.user.id);
+    if (!exportDoc) return res.status(404).json({ error: "Export not found" });
+    if (exportDoc.status !== "ready") {
+      return res.status(409).json({ error: "Export is not ready yet", status: exportDoc.status });
+    }
+    if (exportDoc.expiresAt <= new Date() || !exportDoc.filePath) {
+      return res.status(410).json({ error: "Export has expired. Please request a new one." });
+    }
+
+    const date = exportDoc.completedAt.toISOString().substring(0, 10);
+    res.download(exportDoc.filePath, `interviewiq-export-${date}.zip`, (err) => {
+      if (err && !res.headersSent) {
+        console.error("Export download error:", err);
+        res.status(410).json({ error: "Export file is no longer available. Please request a new one." });
+      }
+    });
+  } catch (err) {
+    console.error("Export download error:", err);
+    res.status(500).json({ error: "Failed to download export" });
+  }
+});
+
+// DELETE ACCOUNT (Protected) - removes the user and all their data
+router.delete("/me", authMiddleware, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body || {};
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const isMatch = password && await bcrypt.compare(password, user.password);
+    if (!isMatch) return res.status(400).json({ error: "Password is incorrect" });
+
+    if (user.twoFactor.enabled && !(await verifySecondFactor(user, { code, recoveryCode }))) {
+      return res.status(400).json({ error: "Invalid authentication code" });
+    }
+
+    const deleted = await accountService.deleteAccount(user._id);
+
+    res.json({ message: "Account deleted successfully", deleted });
+  } catch (err) {
+    console.error("Account deletion error:", err);
+    res.status(500).json({ error: "Failed to delete account" });
   }
 });
 
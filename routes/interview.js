@@ -2,9 +2,11 @@ const express = require("express");
 const multer = require("multer");
 const path = require("path");
 const fs = require("fs");
-const { spawn } = require("child_process");
+const mongoose = require("mongoose");
 
 const authMiddleware = require("../middleware/authMiddleware");
+const { ownedQuery } = require("../middleware/authorize");
+const idempotency = require("../middleware/idempotency");
 const InterviewSession = require("../models/interviewSession");
 const Resume = require("../models/resume");
 const User = require("../models/user");
@@ -13,6 +15,18 @@ const questionService = require("../services/questionService");
 const feedbackService = require("../services/feedbackService");
 const resumeService = require("../services/resumeService");
 const analyticsService = require("../services/analyticsService");
+const preferencesService = require("../services/preferencesService");
+const sessionSweeper = require("../services/sessionSweeper");
+const adaptiveDifficultyService = require("../services/adaptiveDifficultyService");
+const questionTimingService = require("../services/questionTimingService");
+const sessionEvents = require("../services/sessionEvents");
+const jobQueue = require("../services/jobQueue");
+const answerProcessingService = require("../services/answerProcessingService");
+const voiceLeaseService = require("../services/voiceLeaseService");
+const deliveryAnalysisService = require("../services/deliveryAnalysisService");
+const audioRetentionService = require("../services/audioRetentionService");
+const audioProcessingService = require("../services/audioProcessingService");
+const Job = require("../models/job");
 
 const router = express.Router();
 
@@ -45,8 +59,8 @@ const upload = multer({
         cb(new Error('Invalid file type. Only PDF and DOCX files are allowed.'));
       }
     } else if (file.fieldname === 'audio') {
-      const allowedTypes = ['audio/wav', 'audio/mp3', 'audio/webm', 'audio/ogg'];
-      if (allowedTypes.includes(file.mimetype)) {
+      // Only a first filter: audioProcessingService checks the real format with ffprobe
+      if (file.mimetype.startsWith('audio/') || file.mimetype === 'video/webm') {
         cb(null, true);
       } else {
         cb(new Error('Invalid audio file type.'));
@@ -57,10 +71,28 @@ const upload = multer({
   }
 });
 
+// Explain why a session can't take questions or answers right now
+const inactiveSessionError = (session) => session.status === 'paused'
+  ? "Interview session is paused. Resume it to continue."
+  : "Interview session is not active";
+
+// Another request changed the session between our read and our write
+const isWriteConflict = (error) => error.name === 'DocumentNotFoundError' || error.name === 'VersionError';
+
+// Resolve the question a request refers to: an explicit index (revisiting or
+// re-attempting) or the next one due. Returns null when the index is invalid.
+const resolveQuestionIndex = (session, requestedIndex) => {
+  if (requestedIndex === undefined || requestedIndex === null || requestedIndex === '') {
+    return session.getNextQuestionIndex();
+  }
+  const index = Number(requestedIndex);
+  return Number.isInteger(index) && index >= 0 && index < session.questions.length ? index : null;
+};
+
 // ==================== RESUME ROUTES ====================
 
 // Upload and parse resume
-router.post("/resume/upload", authMiddleware, upload.single('resume'), async (req, res) => {
+router.post("/resume/upload", authMiddleware.withScopes('resume:write'), upload.single('resume'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: "No resume file uploaded" });
@@ -112,7 +144,7 @@ router.post("/resume/upload", authMiddleware, upload.single('resume'), async (re
 });
 
 // Get user's resumes
-router.get("/resume", authMiddleware, async (req, res) => {
+router.get("/resume", authMiddleware.withScopes('resume:read'), async (req, res) => {
   try {
     const resumes = await resumeService.getUserResumes(req.user.id);
     res.json(resumes);
@@ -123,7 +155,7 @@ router.get("/resume", authMiddleware, async (req, res) => {
 });
 
 // Get active resume (optional)
-router.get("/resume/active", authMiddleware, async (req, res) => {
+router.get("/resume/active", authMiddleware.withScopes('resume:read'), async (req, res) => {
   try {
     const resume = await resumeService.getActiveResume(req.user.id);
     if (!resume) {
@@ -156,7 +188,7 @@ router.get("/resume/active", authMiddleware, async (req, res) => {
 });
 
 // Check resume status
-router.get("/resume/status", authMiddleware, async (req, res) => {
+router.get("/resume/status", authMiddleware.withScopes('resume:read'), async (req, res) => {
   try {
     const resume = await resumeService.getActiveResume(req.user.id);
     res.json({
@@ -175,7 +207,7 @@ router.get("/resume/status", authMiddleware, async (req, res) => {
 });
 
 // Delete resume
-router.delete("/resume/:id", authMiddleware, async (req, res) => {
+router.delete("/resume/:id", authMiddleware.withScopes('resume:write'), async (req, res) => {
   try {
     await resumeService.deleteResume(req.params.id, req.user.id);
     res.json({ message: "Resume deleted successfully" });
@@ -188,9 +220,12 @@ router.delete("/resume/:id", authMiddleware, async (req, res) => {
 // ==================== INTERVIEW SESSION ROUTES ====================
 
 // Start new interview session
-router.post("/start", authMiddleware, async (req, res) => {
+router.post("/start", authMiddleware.withScopes('interview:write'), idempotency(), async (req, res) => {
   try {
-    const { role, settings = {}, useResume = false } = req.body;
+    // Saved preferences fill in whatever the request leaves out
+    const preferences = await preferencesService.getPreferences(req.user.id);
+    const { role, settings, useResume } = preferencesService.resolveStartOptions(preferences, req.body);
+    const requestSettings = (req.body && req.body.settings) || {};
     
     if (!role) {
       return res.status(400).json({ error: "Job role is required" });
@@ -214,15 +249,19 @@ router.post("/start", authMiddleware, async (req, res) => {
     }
 
     // Generate AI-powered questions
-    const questionCount = settings.questionCount || 5;
-    const difficulty = settings.difficulty || 'medium';
+    const questionCount = settings.questionCount;
+    const difficulty = settings.difficulty;
+    const adaptive = requestSettings.adaptive === true;
     
-    const generatedQuestions = await questionService.generateQuestions(role, resumeContent, questionCount, req.user.id);
+    // Adaptive interviews generate one question at a time as scores come in
+    const generatedQuestions = adaptive
+      ? []
+      : await questionService.generateQuestions(role, resumeContent, questionCount, req.user.id);
     
     // Format questions for the schema (generatedQuestions already contains objects)
     const questions = generatedQuestions.map(questionObj => ({
       text: questionObj.text,
-      timeLimit: settings.timeLimit || questionObj.timeLimit || 120,
+      timeLimit: settings.timeLimit || questionObj.timeLimit,
       difficulty: questionObj.difficulty || difficulty,
       category: questionObj.category || (questionService.isTechnicalRole(role) ? 'technical' : 'general')
     }));
@@ -234,25 +273,46 @@ router.post("/start", authMiddleware, async (req, res) => {
       role: role,
       questions: questions,
       settings: {
-        timeLimit: settings.timeLimit || 120,
+        timeLimit: settings.timeLimit,
         difficulty: difficulty,
         questionCount: questionCount,
-        enableVoice: settings.enableVoice !== false
+        enableVoice: settings.enableVoice !== false,
+        language: settings.language,
+        // Attempt handling is chosen per interview, not saved as a preference
+        maxAttempts: Number.isInteger(requestSettings.maxAttempts) && requestSettings.maxAttempts >= 1
+          ? Math.min(requestSettings.maxAttempts, 10)
+          : undefined,
+        attemptScoring: ['best', 'latest'].includes(requestSettings.attemptScoring) ? requestSettings.attemptScoring : undefined,
+        autoComplete: typeof requestSettings.autoComplete === 'boolean' ? requestSettings.autoComplete : undefined,
+        adaptive,
+        followUps: requestSettings.followUps === true,
+        maxFollowUps: Number.isInteger(requestSettings.maxFollowUps) && requestSettings.maxFollowUps >= 0
+          ? Math.min(requestSettings.maxFollowUps, 10)
+          : undefined
       },
       status: 'active'
     });
 
+    await adaptiveDifficultyService.ensureNextQuestion(session);
+    // The first question is returned right away, so its clock starts now
+    questionTimingService.startClock(session, 0);
     await session.save();
 
+    sessionEvents.publish(session._id, 'question.served', {
+      questionIndex: 0,
+      question: session.formatQuestion(0),
+      clock: questionTimingService.getClock(session, 0)
+    });
+
     res.json({
       sessionId: session._id,
       role: role,
-      totalQuestions: questions.length,
+      totalQuestions: session.getTotalQuestions(),
       currentQuestion: {
         index: 0,
-        text: questions[0].text,
-        timeLimit: questions[0].timeLimit,
-        difficulty: questions[0].difficulty
+        text: session.questions[0].text,
+        timeLimit: session.questions[0].timeLimit,
+        difficulty: session.questions[0].difficulty
       },
       settings: session.settings,
       message: "Interview session started successfully"
@@ -264,8 +324,36 @@ router.post("/start", authMiddleware, async (req, res) => {
   }
 });
 
+// Get saved interview preferences
+router.get("/preferences", authMiddleware, async (req, res) => {
+  try {
+    const preferences = await preferencesService.getPreferences(req.user.id);
+    res.json({ preferences });
+  } catch (error) {
+    console.error("Error fetching preferences:", error);
+    res.status(500).json({ error: "Failed to fetch preferences" });
+  }
+});
+
+// Update interview preferences (partial update)
+router.put("/preferences", authMiddleware, async (req, res) => {
+  try {
+    const updates = req.body || {};
+    const errors = preferencesService.validateUpdates(updates);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+
+    const preferences = await preferencesService.updatePreferences(req.user.id, updates);
+    res.json({ message: "Preferences updated successfully", preferences });
+  } catch (error) {
+    console.error("Error updating preferences:", error);
+    res.status(500).json({ error: "Failed to update preferences" });
+  }
+});
+
 // Get current question
-router.get("/session/:sessionId/question", authMiddleware, async (req, res) => {
+router.get("/session/:sessionId/question", authMiddleware.withScopes('interview:write'), async (req, res) => {
   try {
     const session = await InterviewSession.findOne({
       _id: req.params.sessionId,
@@ -286,36 +374,59 @@ router.get("/session/:sessionId/question", authMiddleware, async (req, res) => {
     }
     
     if (session.status !== 'active') {
-      return res.status(400).json({ error: "Interview session is not active" });
+      return res.status(400).json({ error: inactiveSessionError(session) });
     }
 
-    const currentQuestionIndex = session.answers.length;
-    
-    if (currentQuestionIndex >= session.questions.length) {
+    // ?index= revisits a specific question; otherwise serve the next one due
+    // Adaptive sessions pick the next difficulty from the scores so far, so wait for
+    // pending feedback; answerProcessingService.advance() adds the question once it is in
+    const requestedIndex = req.query.index;
+    const pendingFeedback = session.getPendingFeedbackCount();
+    if (requestedIndex === undefined && pendingFeedback === 0) {
+      await adaptiveDifficultyService.ensureNextQuestion(session);
+    }
+    const currentQuestionIndex = resolveQuestionIndex(session, requestedIndex);
+
+    if (currentQuestionIndex === null) {
+      if (requestedIndex !== undefined) {
+        return res.status(400).json({ error: "Invalid question index" });
+      }
+      if (pendingFeedback > 0 && session.settings.adaptive && session.questions.length < session.getTotalQuestions()) {
+        res.set('Retry-After', '2');
+        return res.status(202).json({
+          pending: true,
+          completed: false,
+          message: `Waiting for feedback on ${pendingFeedback} answer(s) before choosing the next question`
+        });
+      }
       return res.json({
         completed: true,
-        message: "All questions have been answered"
+        message: "All questions have been answered",
+        questionStatuses: session.questions.map((question, index) => session.getQuestionStatus(index))
       });
     }
-
-    const currentQuestion = session.questions[currentQuestionIndex];
     
+    // The server clock for this question starts the first time it is served
+    questionTimingService.startClock(session, currentQuestionIndex);
+
     // Update last activity
     session.lastActivity = new Date();
     await session.save();
 
+    sessionEvents.publish(session._id, 'question.served', {
+      questionIndex: currentQuestionIndex,
+      question: session.formatQuestion(currentQuestionIndex),
+      clock: questionTimingService.getClock(session, currentQuestionIndex)
+    });
+
     res.json({
       sessionId: session._id,
       questionIndex: currentQuestionIndex,
-      totalQuestions: session.questions.length,
-      question: {
-        index: currentQuestionIndex,
-        text: currentQuestion.text,
-        timeLimit: currentQuestion.timeLimit,
-        difficulty: currentQuestion.difficulty,
-        category: currentQuestion.category
-      },
-      progress: Math.round(((currentQuestionIndex + 1) / session.questions.length) * 100),
+      totalQuestions: session.getTotalQuestions(),
+      question: session.formatQuestion(currentQuestionIndex),
+      questionStatuses: session.questions.map((question, index) => session.getQuestionStatus(index)),
+      progress: Math.round((session.getAnsweredCount() / session.getTotalQuestions()) * 100),
+      clock: questionTimingService.getClock(session, currentQuestionIndex),
       completed: false
     });
 
@@ -326,9 +437,9 @@ router.get("/session/:sessionId/question", authMiddleware, async (req, res) => {
 });
 
 // Submit text answer
-router.post("/session/:sessionId/answer", authMiddleware, async (req, res) => {
+router.post("/session/:sessionId/answer", authMiddleware.withScopes('interview:write'), idempotency(), async (req, res) => {
   try {
-    const { answer, responseTime, isVoiceAnswer, audioFilePath } = req.body;
+    const { answer, responseTime, isVoiceAnswer, questionIndex, transcriptionJobId } = req.body;
     
     // Allow empty answers (timer expiration case)
     const finalAnswer = answer ? answer.trim() : "No answer provided";
@@ -343,104 +454,118 @@ router.post("/session/:sessionId/answer", authMiddleware, async (req, res) => {
     }
 
     if (session.status !== 'active') {
-      return res.status(400).json({ error: "Interview session is not active" });
+      return res.status(400).json({ error: inactiveSessionError(session) });
     }
 
-    const currentQuestionIndex = session.answers.length;
-    
-    console.log(`📝 Text answer submission: Question ${currentQuestionIndex + 1}/${session.questions.length}`);
-    console.log(`📝 Current answers count: ${session.answers.length}`);
-    console.log(`📝 Answer preview: "${finalAnswer.substring(0, 50)}..."`);
-    
-    if (currentQuestionIndex >= session.questions.length) {
-      console.log(`❌ All questions already answered: ${currentQuestionIndex}/${session.questions.length}`);
+    // Without an explicit questionIndex the answer is for the next question due
+    const currentQuestionIndex = resolveQuestionIndex(session, questionIndex);
+
+    if (currentQuestionIndex === null) {
+      if (questionIndex !== undefined) {
+        return res.status(400).json({ error: "Invalid question index" });
+      }
+      console.log(`❌ All questions already answered: ${session.getAnsweredCount()}/${session.getTotalQuestions()}`);
       return res.status(400).json({ error: "All questions have been answered" });
     }
 
     const currentQuestion = session.questions[currentQuestionIndex];
+    const previousAttempts = session.getAttempts(currentQuestionIndex);
+    
+    console.log(`📝 Text answer submission: Question ${currentQuestionIndex + 1}/${session.getTotalQuestions()}, attempt ${previousAttempts.length + 1}`);
+    console.log(`📝 Answer preview: "${finalAnswer.substring(0, 50)}..."`);
+
+    if (previousAttempts.length >= session.settings.maxAttempts) {
+      return res.status(400).json({ error: `This question has already been answered ${session.settings.maxAttempts} times` });
+    }
     
     // Check if this exact answer already exists (prevent duplicates)
-    const existingAnswer = session.answers.find(ans => 
-      ans.question === currentQuestion.text && ans.answer === finalAnswer
-    );
+    const existingAnswer = previousAttempts.find(ans => ans.answer === finalAnswer);
     
     if (existingAnswer) {
       console.log(`⚠️ Duplicate answer detected for question: "${currentQuestion.text.substring(0, 50)}..."`);
       return res.status(400).json({ error: "This answer has already been submitted for this question" });
     }
+
+    const attempt = previousAttempts.length + 1;
+
+    // A reviewed voice transcript: keep the delivery metrics measured from the recording
+    let transcriptionJob = null;
+    if (transcriptionJobId) {
+      transcriptionJob = await answerProcessingService.findTranscriptionJob(session, currentQuestionIndex, transcriptionJobId);
+      if (!transcriptionJob) {
+        return res.status(400).json({ error: "Transcription job not found for this question" });
+      }
+    }
+
+    // Time the answer on the server; the client's responseTime is only kept for comparison
+    const timing = questionTimingService.evaluate(session, currentQuestionIndex, responseTime);
+
+    if (timing.action === 'reject') {
+      // The attempt doesn't count; the question goes back to the end of the queue with a fresh clock
+      questionTimingService.resetClock(session, currentQuestionIndex);
+      currentQuestion.skippedAt = new Date();
+      session.lastActivity = new Date();
+      await session.save();
+      return res.status(422).json({
+        error: "Time limit exceeded for this question",
+        timeLimit: currentQuestion.timeLimit,
+        elapsed: timing.serverResponseTime
+      });
+    }
     
     // Save answer
     session.answers.push({
+      questionIndex: currentQuestionIndex,
+      attempt,
       question: currentQuestion.text,
       answer: finalAnswer,
-      responseTime: responseTime || 0,
-      isVoiceAnswer: isVoiceAnswer || false,
-      audioFilePath: audioFilePath || undefined
+      responseTime: timing.serverResponseTime,
+      serverResponseTime: timing.serverResponseTime,
+      clientResponseTime: timing.clientResponseTime,
+      overTime: timing.overTime,
+      overTimeBy: timing.overTimeBy,
+      isVoiceAnswer: isVoiceAnswer || !!transcriptionJob,
+      // Recordings are only linked from the job that transcribed them, never from the request body
+      audioFilePath: transcriptionJob?.result.audioFilePath || undefined,
+      audioExpiresAt: transcriptionJob?.result.audioExpiresAt || undefined,
+      delivery: transcriptionJob?.result.delivery || undefined
     });
-    
-    console.log(`✅ Answer saved for question ${currentQuestionIndex + 1}: "${currentQuestion.text.substring(0, 50)}..."`);
-    console.log(`📊 Total answers now: ${session.answers.length}/${session.questions.length}`);
-
-    // Generate feedback
-    const feedback = await feedbackService.generateFeedback(
-      currentQuestion.text,
-      finalAnswer,
-      session.role
-    );
-
-    feedback.questionIndex = currentQuestionIndex;
-    feedback.responseTime = responseTime || 0;
-    session.feedback.push(feedback);
-
-    // Update last activity
+    questionTimingService.resetClock(session, currentQuestionIndex);
     session.lastActivity = new Date();
 
-    // Check if interview is complete
-    const isComplete = session.answers.length >= session.questions.length;
-    
-    console.log(`📊 Interview progress: ${session.answers.length}/${session.questions.length} questions answered`);
-    
-    if (isComplete) {
-      console.log("✅ Interview completed - marking session as finished");
-      session.status = 'completed';
-      session.completedAt = new Date();
-      session.calculatePerformance();
-    }
-
-    await session.save();
-
-    const response = {
-      message: "Answer submitted successfully",
-      feedback: {
-        scores: feedback.scores,
-        overallScore: feedback.overallScore,
-        feedback: feedback.feedback,
-        suggestions: feedback.suggestions
-      },
-      progress: Math.round((session.answers.length / session.questions.length) * 100),
-      completed: isComplete
-    };
+    // Feedback, follow-ups, the next adaptive question and auto-completion happen in a background job
+    const job = await answerProcessingService.queueFeedback(session, session.answers[session.answers.length - 1], {
+      penalize: timing.action === 'penalize'
+    });
 
-    if (!isComplete) {
-      const nextQuestion = session.questions[session.answers.length];
-      response.nextQuestion = {
-        index: session.answers.length,
-        text: nextQuestion.text,
-        timeLimit: nextQuestion.timeLimit,
-        difficulty: nextQuestion.difficulty
-      };
-    } else {
-      response.finalResults = {
-        overallScore: session.performance.overallScore,
-        categoryScores: session.performance.categoryScores,
-        totalTime: session.performance.totalTime,
-        completionRate: session.performance.completionRate
-      };
-    }
+    sessionEvents.publish(session._id, 'answer.received', { questionIndex: currentQuestionIndex, attempt, jobId: job._id });
+    console.log(`✅ Answer saved for question ${currentQuestionIndex + 1}: "${currentQuestion.text.substring(0, 50)}...", feedback job ${job._id}`);
 
-    res.json(response);
+    res.status(202).json({
+      message: "Answer submitted - feedback is being generated",
+      questionIndex: currentQuestionIndex,
+      attempt,
+      jobId: job._id,
+      feedbackStatus: 'pending',
+      timing: {
+        serverResponseTime: timing.serverResponseTime,
+        clientResponseTime: timing.clientResponseTime,
+        overTime: timing.overTime,
+        overTimeBy: timing.overTimeBy,
+        policy: questionTimingService.policy
+      }
+    });
 
   } catch (error) {
+    if (isWriteConflict(error)) {
+      // The session may have been paused, abandoned or completed rather than answered meanwhile
+      const current = await InterviewSession.findOne({ _id: req.params.sessionId, userId: req.user.id }).select('status').catch(() => null);
+      if (current && current.status !== 'active') {
+        return res.status(400).json({ error: inactiveSessionError(current) });
+      }
+      console.log(`⚠️ Concurrent answer submission rejected for session ${req.params.sessionId}`);
+      return res.status(409).json({ error: "Another submission for this question was saved first. Reload the question and try again." });
+    }
     console.error("Error submitting answer:", error);
     console.error("Error details:", {
       sessionId: req.params.sessionId,
@@ -456,7 +581,11 @@ router.post("/session/:sessionId/answer", authMiddleware, async (req, res) => {
 });
 
 // Submit voice answer
-router.post("/session/:sessionId/voice-answer", authMiddleware, upload.single('audio'), async (req, res) => {
+router.post("/session/:sessionId/voice-answer", authMiddleware.withScopes('interview:write'), upload.single('audio'), idempotency(), async (req, res) => {
+  const receivedAt = new Date();
+  let lease = null;
+  let audio = null;
+  let job = null;
   try {
     console.log(`📥 Processing voice answer for question: ${req.body.question || 'Unknown'}`);
     
@@ -464,19 +593,6 @@ router.post("/session/:sessionId/voice-answer", authMiddleware, upload.single('a
       return res.status(400).json({ error: "No audio file provided" });
     }
     
-    // Check if there's already a processing request for this session
-    const existingProcessing = await InterviewSession.findOne({
-      _id: req.params.sessionId,
-      userId: req.user.id,
-      'processingVoice': true
-    });
-    
-    if (existingProcessing) {
-      console.log(`⚠️ Voice processing already in progress for session ${req.params.sessionId}`);
-      return res.status(429).json({ error: "Voice processing already in progress. Please wait." });
-    }
-
-    const { responseTime } = req.body;
     const audioPath = req.file.path;
 
     console.log("🔍 Looking for session:", req.params.sessionId, "for user:", req.user.id);
@@ -497,245 +613,446 @@ router.post("/session/:sessionId/voice-answer", authMiddleware, upload.single('a
       id: session._id,
       status: session.status,
       lastActivity: session.lastActivity,
-      questionsAnswered: session.answers.length,
-      totalQuestions: session.questions.length
+      questionsAnswered: session.getAnsweredCount(),
+      totalQuestions: session.getTotalQuestions()
     });
 
     if (session.status !== 'active') {
       console.log("❌ Session is not active, status:", session.status);
       fs.unlinkSync(audioPath);
-      return res.status(400).json({ error: "Interview session is not active" });
+      return res.status(400).json({ error: inactiveSessionError(session) });
     }
 
-    // Set processing flag to prevent concurrent requests
-    session.processingVoice = true;
-    session.lastActivity = new Date();
-    await session.save();
-
-    const currentQuestionIndex = session.answers.length;
+    // Same question selection as the text answer: explicit questionIndex or the next one due
+    const currentQuestionIndex = resolveQuestionIndex(session, req.body.questionIndex);
     
-    if (currentQuestionIndex >= session.questions.length) {
+    if (currentQuestionIndex === null) {
       fs.unlinkSync(audioPath);
-      return res.status(400).json({ error: "All questions have been answered" });
+      return res.status(400).json({
+        error: req.body.questionIndex !== undefined ? "Invalid question index" : "All questions have been answered"
+      });
     }
 
     const currentQuestion = session.questions[currentQuestionIndex];
 
-    console.log("📥 Processing voice answer for question:", currentQuestion.text);
+    // Check the real format, length and content, and convert to the WAV every STT provider takes.
+    // Candidates who keep recordings get the original upload back for playback, not the WAV.
+    const retainAudio = await audioRetentionService.shouldRetain(req.user.id);
+    try {
+      audio = await audioProcessingService.prepare(audioPath, {
+        maxDuration: audioProcessingService.getMaxDuration(currentQuestion),
+        keepOriginal: retainAudio
+      });
+    } catch (error) {
+      if (!error.status) throw error;
+      console.log(`❌ Recording rejected (${error.code}): ${error.message}`);
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    console.log(`🎧 Recording checked: ${audio.format}/${audio.codec}, ${audio.duration}s, ${Math.round(audio.silence.ratio * 100)}% silence`);
+
+    // Taken last, after every check that can turn the request away; the transcription job releases it
+    lease = await voiceLeaseService.acquire(session._id, req.user.id, currentQuestionIndex);
+    if (!lease) {
+      fs.unlinkSync(audio.path);
+      if (audio.originalPath) fs.unlinkSync(audio.originalPath);
+      const latest = await InterviewSession.findById(session._id).select('voiceLease status');
+      if (!latest) {
+        return res.status(404).json({ error: "Interview session not found" });
+      }
+      const current = voiceLeaseService.describe(latest);
+      if (!current.held) {
+        // Lease is free, so the session stopped being active in the meantime
+        return res.status(400).json({ error: "Session became inactive during processing" });
+      }
+      console.log(`⚠️ Voice processing already in progress for session ${req.params.sessionId}`);
+      res.set('Retry-After', String(current.retryAfterSeconds));
+      return res.status(429).json({
+        error: "Voice processing already in progress. Please wait.",
+        voiceLease: current
+      });
+    }
 
-    // Process audio with Python script with timeout
-    // Try venv python first, fallback to system python
-    const venvPythonExe = process.platform === 'win32' ? 
-      path.join(__dirname, '..', '.venv', 'Scripts', 'python.exe') : 
-      path.join(__dirname, '..', '.venv', 'bin', 'python');
-    
-    const systemPythonExe = 'python';
+    // The answer is in once the recording arrives; transcription time doesn't count
+    questionTimingService.stopClock(session, currentQuestionIndex, receivedAt);
+    session.lastActivity = new Date();
+    await session.save();
+
+    console.log("📥 Queueing transcription for question:", currentQuestion.text);
+
+    // The job owns the lease and the files: it removes the WAV when it finishes and keeps the original if retained
+    job = await answerProcessingService.queueTranscription(session, currentQuestionIndex, {
+      path: audio.path,
+      filename: audio.fileName,
+      originalPath: audio.originalPath,
+      originalFilename: audio.originalFileName
+    }, lease, { retainAudio });
+    sessionEvents.publish(session._id, 'transcription.started', { questionIndex: currentQuestionIndex, jobId: job._id });
+
+    // The transcript is returned for review, not saved: the candidate submits it via /answer
+    res.status(202).json({
+      message: "Voice answer received - transcription in progress",
+      jobId: job._id,
+      status: 'pending',
+      questionIndex: currentQuestionIndex, // send back with the answer submission
+      audio: {
+        duration: audio.duration,
+        format: audio.format,
+        codec: audio.codec,
+        silenceRatio: audio.silence.ratio
+      }
+    });
+
+  } catch (error) {
+    console.error("❌ Voice answer error:", error);
     
-    // Check if venv python exists, otherwise use system python
-    let pythonExe = systemPythonExe;
-    if (fs.existsSync(venvPythonExe)) {
-      pythonExe = venvPythonExe;
-      console.log("🐍 Using virtual environment Python:", venvPythonExe);
-    } else {
-      console.log("🐍 Using system Python:", systemPythonExe);
+    // No job took over the recording or the lease
+    if (audio && !job) {
+      [audio.path, audio.originalPath].forEach(filePath => {
+        if (filePath && fs.existsSync(filePath)) fs.unlinkSync(filePath);
+      });
+    }
+    if (lease && !job) {
+      try {
+        await voiceLeaseService.release(req.params.sessionId, lease.owner);
+      } catch (leaseError) {
+        console.error("Failed to release voice lease:", leaseError);
+      }
     }
     
-    console.log("🎤 Starting audio processing:", { audioPath, questionLength: currentQuestion.text.length });
+    // Clean up audio file if it exists
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
     
-    // Double-check session status right before processing
-    const sessionCheck = await InterviewSession.findById(req.params.sessionId);
-    console.log("🔍 Final session check before Python:", {
-      status: sessionCheck?.status,
-      exists: !!sessionCheck,
-      lastActivity: sessionCheck?.lastActivity
+    res.status(500).json({ error: "Failed to process voice answer" });
+  }
+});
+
+// Skip a question for now; it comes back once the unseen questions are done
+router.post("/session/:sessionId/skip", authMiddleware.withScopes('interview:write'), async (req, res) => {
+  try {
+    const { questionIndex } = req.body || {};
+
+    const session = await InterviewSession.findOne({
+      _id: req.params.sessionId,
+      userId: req.user.id
     });
-    
-    if (!sessionCheck || sessionCheck.status !== 'active') {
-      console.log("❌ Session became inactive before processing");
-      fs.unlinkSync(audioPath);
-      return res.status(400).json({ error: "Session became inactive during processing" });
+
+    if (!session) {
+      return res.status(404).json({ error: "Interview session not found" });
     }
-    
-    const pythonProcess = spawn(pythonExe, ["process_answer.py", audioPath, currentQuestion.text], {
-      cwd: __dirname + '/..'
+
+    if (session.status !== 'active') {
+      return res.status(400).json({ error: inactiveSessionError(session) });
+    }
+
+    const skippedIndex = resolveQuestionIndex(session, questionIndex);
+    if (skippedIndex === null) {
+      return res.status(400).json({ error: questionIndex !== undefined ? "Invalid question index" : "All questions have been answered" });
+    }
+
+    if (session.getQuestionStatus(skippedIndex) === 'answered') {
+      return res.status(400).json({ error: "Answered questions cannot be skipped" });
+    }
+
+    session.questions[skippedIndex].skippedAt = new Date();
+    questionTimingService.resetClock(session, skippedIndex);
+    session.lastActivity = new Date();
+    await adaptiveDifficultyService.ensureNextQuestion(session);
+    await session.save();
+
+    console.log(`⏭️ Question ${skippedIndex + 1} skipped in session ${session._id}`);
+    sessionEvents.publish(session._id, 'question.skipped', { questionIndex: skippedIndex });
+
+    // Only the skipped question itself can come back as "next" when nothing else is left
+    const nextQuestionIndex = session.getNextQuestionIndex();
+    res.json({
+      message: "Question skipped",
+      skippedIndex,
+      questionStatuses: session.questions.map((question, index) => session.getQuestionStatus(index)),
+      nextQuestion: nextQuestionIndex !== null ? session.formatQuestion(nextQuestionIndex) : null
     });
-    
-    // Track if response was already sent to prevent duplicate responses
-    let responseSent = false;
-    
-    // Set timeout for processing (90 seconds for first-time model download)
-    const timeout = setTimeout(() => {
-      if (responseSent) return;
-      responseSent = true;
-      
-      pythonProcess.kill();
-      if (fs.existsSync(audioPath)) {
-        fs.unlinkSync(audioPath);
-      }
-      return res.status(500).json({ 
-        error: "Audio processing timeout. If this is your first recording, the AI model may still be downloading. Please try again." 
-      });
-    }, 90000);  // Increased from 30s to 90s for model download
 
-    let output = "";
-    let errorOutput = "";
-    pythonProcess.stdout.on("data", (data) => {
-      const chunk = data.toString();
-      output += chunk;
-      console.log("🐍 Python stdout:", chunk.trim());
+  } catch (error) {
+    console.error("Error skipping question:", error);
+    res.status(500).json({ error: "Failed to skip question" });
+  }
+});
+
+// Finish the interview now; unanswered questions count against the completion rate
+router.post("/session/:sessionId/complete", authMiddleware.withScopes('interview:write'), async (req, res) => {
+  try {
+    const session = await InterviewSession.findOne({
+      _id: req.params.sessionId,
+      userId: req.user.id
     });
-    pythonProcess.stderr.on("data", (data) => {
-      const chunk = data.toString();
-      errorOutput += chunk;
-      console.error("🐍 Python stderr:", chunk.trim());
+
+    if (!session) {
+      return res.status(404).json({ error: "Interview session not found" });
+    }
+
+    if (session.status !== 'active') {
+      return res.status(400).json({ error: inactiveSessionError(session) });
+    }
+
+    if (session.getAnsweredCount() === 0) {
+      return res.status(400).json({ error: "Answer at least one question before finishing, or abandon the interview" });
+    }
+
+    const pendingFeedback = session.getPendingFeedbackCount();
+    if (pendingFeedback > 0) {
+      return res.status(409).json({ error: `Feedback is still being generated for ${pendingFeedback} answer(s). Try again shortly.` });
+    }
+
+    session.complete();
+    await session.save();
+
+    console.log(`✅ Session ${session._id} completed with ${session.getAnsweredCount()}/${session.getTotalQuestions()} questions answered`);
+    const finalResults = {
+      overallScore: session.performance.overallScore,
+      categoryScores: session.performance.categoryScores,
+      totalTime: session.performance.totalTime,
+      completionRate: session.performance.completionRate
+    };
+    sessionEvents.publish(session._id, 'session.completed', { finalResults });
+    res.json({
+      message: "Interview completed",
+      completed: true,
+      finalResults
     });
-    
-    pythonProcess.on("error", (error) => {
-      console.error("🐍 Python process error:", error);
-      clearTimeout(timeout);
-      if (responseSent) return;
-      responseSent = true;
-      
-      if (fs.existsSync(audioPath)) {
-        fs.unlinkSync(audioPath);
-      }
-      return res.status(500).json({ 
-        error: `Python process failed to start: ${error.message}`,
-        details: process.env.NODE_ENV === 'development' ? error.stack : undefined
-      });
+
+  } catch (error) {
+    console.error("Error completing session:", error);
+    res.status(500).json({ error: "Failed to complete interview session" });
+  }
+});
+
+// Pause an active session; paused time does not count toward the total time
+router.post("/session/:sessionId/pause", authMiddleware.withScopes('interview:write'), async (req, res) => {
+  try {
+    const session = await InterviewSession.findOne({
+      _id: req.params.sessionId,
+      userId: req.user.id
     });
 
-    pythonProcess.on("close", async (code) => {
-      clearTimeout(timeout);
-      
-      // Check if response was already sent (e.g., by timeout)
-      if (responseSent) {
-        console.log("⚠️ Response already sent, skipping close handler");
-        if (fs.existsSync(audioPath)) {
-          fs.unlinkSync(audioPath);
-        }
-        return;
-      }
-      
-      // Clean up audio file
-      if (fs.existsSync(audioPath)) {
-        fs.unlinkSync(audioPath);
-      }
-      
-      if (code !== 0) {
-        console.error("Python process failed with code:", code, "Error:", errorOutput);
-        
-        // Check for specific errors and provide helpful messages
-        let errorMessage = "Failed to process audio. Please try again.";
-        if (errorOutput.includes("FFmpeg not found")) {
-          errorMessage = "FFmpeg not found. Please install FFmpeg and ensure it's in your PATH.";
-        } else if (errorOutput.includes("No module named 'faster_whisper'")) {
-          errorMessage = "faster-whisper not installed. Please run 'pip install faster-whisper' in your virtual environment.";
-        } else if (errorOutput.includes("RuntimeError")) {
-          errorMessage = "Audio processing failed. Try a shorter recording or check your microphone.";
-        } else if (errorOutput.includes("FileNotFoundError")) {
-          errorMessage = "Audio file processing error. Please try recording again.";
-        } else if (errorOutput.includes("timeout")) {
-          errorMessage = "Audio processing timeout. Please try a shorter recording.";
-        }
-        
-        responseSent = true;
-        return res.status(500).json({ 
-          error: errorMessage,
-          details: process.env.NODE_ENV === 'development' ? errorOutput : undefined,
-          transcript: "", // Ensure transcript is empty on error
-          canRetry: true
-        });
-      }
+    if (!session) {
+      return res.status(404).json({ error: "Interview session not found" });
+    }
 
-      try {
-        const result = JSON.parse(output);
-        const transcript = result.transcript;
-        const basicFeedback = result.feedback;
+    if (session.status !== 'active') {
+      return res.status(400).json({ error: `Only active sessions can be paused (session is ${session.status})` });
+    }
 
-        if (!transcript || transcript.trim().length === 0) {
-          responseSent = true;
-          return res.status(400).json({ error: "Could not transcribe audio. Please try again." });
-        }
+    session.pause();
+    await session.save();
 
-        // Refresh session to ensure it's still active
-        const freshSession = await InterviewSession.findById(req.params.sessionId);
-        if (!freshSession || freshSession.status !== 'active') {
-          console.log("❌ Session became inactive during processing");
-          responseSent = true;
-          return res.status(400).json({ error: "Session became inactive during processing" });
-        }
+    console.log(`⏸️ Session ${session._id} paused`);
+    sessionEvents.publish(session._id, 'session.paused', { pausedAt: session.pausedAt });
+    res.json({
+      message: "Interview paused",
+      status: session.status,
+      pausedAt: session.pausedAt,
+      expiresAt: new Date(session.pausedAt.getTime() + sessionSweeper.pausedTtlMs)
+    });
 
-        const currentQuestionIndexVoice = freshSession.answers.length;
-        console.log(`🎤 Voice answer submission: Question ${currentQuestionIndexVoice + 1}/${freshSession.questions.length}`);
-        console.log(`🎤 Current answers count: ${freshSession.answers.length}`);
-        console.log(`🎤 Transcript preview: "${transcript.trim().substring(0, 50)}..."`);
-        
-        if (currentQuestionIndexVoice >= freshSession.questions.length) {
-          console.log(`❌ All questions already answered (voice): ${currentQuestionIndexVoice}/${freshSession.questions.length}`);
-          responseSent = true;
-          return res.status(400).json({ error: "All questions have been answered" });
-        }
+  } catch (error) {
+    console.error("Error pausing session:", error);
+    res.status(500).json({ error: "Failed to pause interview session" });
+  }
+});
 
-        // Don't save the answer yet - just return transcript for user review
-        // The answer will be saved when user submits via the text submission route
-        
-        console.log(`✅ Voice transcribed for question ${currentQuestionIndexVoice + 1}: "${currentQuestion.text.substring(0, 50)}..."`);
-        console.log(`📝 Transcript ready for review (${transcript.trim().length} chars): "${transcript.trim().substring(0, 50)}..."`);
-        console.log(`🔄 Returning transcript to frontend for manual submission`);
-
-        // Clear processing flag and update last activity
-        freshSession.processingVoice = false;
-        freshSession.lastActivity = new Date();
-        await freshSession.save();
-
-        const response = {
-          message: "Voice transcribed successfully - please review and submit",
-          transcript: transcript,
-          audioFilePath: req.file.filename, // Store for later use if needed
-          needsSubmission: true // Flag to indicate this needs manual submission
-        };
-
-        responseSent = true;
-        res.json(response);
-
-      } catch (parseError) {
-        console.error("❌ JSON parse error:", parseError);
-        // Clear processing flag on error
-        try {
-          const errorSession = await InterviewSession.findById(req.params.sessionId);
-          if (errorSession) {
-            errorSession.processingVoice = false;
-            await errorSession.save();
-          }
-        } catch (flagError) {
-          console.error("Failed to clear processing flag:", flagError);
-        }
-        responseSent = true;
-        res.status(500).json({ error: "Failed to process voice response" });
+// Resume a paused session
+router.post("/session/:sessionId/resume", authMiddleware.withScopes('interview:write'), async (req, res) => {
+  try {
+    const session = await InterviewSession.findOne({
+      _id: req.params.sessionId,
+      userId: req.user.id
+    });
+
+    if (!session) {
+      return res.status(404).json({ error: "Interview session not found" });
+    }
+
+    if (session.status !== 'paused') {
+      return res.status(400).json({ error: `Only paused sessions can be resumed (session is ${session.status})` });
+    }
+
+    // Paused for too long: the sweeper just hasn't got to it yet
+    if (sessionSweeper.isExpired(session)) {
+      session.abandon('inactive');
+      await session.save();
+      sessionEvents.publish(session._id, 'session.abandoned', { reason: 'inactive', abandonedAt: session.abandonedAt });
+      return res.status(410).json({ error: "Interview session expired while paused", status: session.status });
+    }
+
+    session.resume();
+    await session.save();
+
+    console.log(`▶️ Session ${session._id} resumed`);
+    sessionEvents.publish(session._id, 'session.resumed', { pausedDuration: session.pausedDuration });
+    res.json({
+      message: "Interview resumed",
+      status: session.status,
+      pausedDuration: session.pausedDuration
+    });
+
+  } catch (error) {
+    console.error("Error resuming session:", error);
+    res.status(500).json({ error: "Failed to resume interview session" });
+  }
+});
+
+// Give up on a session; answered questions still count toward its performance
+router.post("/session/:sessionId/abandon", authMiddleware.withScopes('interview:write'), async (req, res) => {
+  try {
+    const session = await InterviewSession.findOne({
+      _id: req.params.sessionId,
+      userId: req.user.id
+    });
+
+    if (!session) {
+      return res.status(404).json({ error: "Interview session not found" });
+    }
+
+    if (!['active', 'paused'].includes(session.status)) {
+      return res.status(400).json({ error: `Interview session is already ${session.status}` });
+    }
+
+    session.abandon('user');
+    await session.save();
+
+    sessionEvents.publish(session._id, 'session.abandoned', { reason: 'user', abandonedAt: session.abandonedAt });
+    console.log(`🛑 Session ${session._id} abandoned after ${session.getAnsweredCount()}/${session.getTotalQuestions()} answers`);
+    res.json({
+      message: "Interview abandoned",
+      status: session.status,
+      abandonedAt: session.abandonedAt,
+      performance: session.performance
+    });
+
+  } catch (error) {
+    console.error("Error abandoning session:", error);
+    res.status(500).json({ error: "Failed to abandon interview session" });
+  }
+});
+
+// Inspect the voice processing lease (admins may view any session)
+router.get("/session/:sessionId/voice-lease", authMiddleware.withScopes('sessions:read'), async (req, res) => {
+  try {
+    const session = await InterviewSession.findOne(
+      ownedQuery(req, { _id: req.params.sessionId }, 'admin')
+    ).select('voiceLease status');
+
+    if (!session) {
+      return res.status(404).json({ error: "Interview session not found" });
+    }
+
+    res.json({ sessionId: session._id, voiceLease: voiceLeaseService.describe(session) });
+
+  } catch (error) {
+    console.error("Error fetching voice lease:", error);
+    res.status(500).json({ error: "Failed to fetch voice lease" });
+  }
+});
+
+// Force-release a stuck voice lease (owner or admin); a transcription still running finishes
+// but no longer holds the session
+router.delete("/session/:sessionId/voice-lease", authMiddleware.withScopes('interview:write'), async (req, res) => {
+  try {
+    const query = ownedQuery(req, { _id: req.params.sessionId }, 'admin');
+    const released = await voiceLeaseService.forceRelease(query);
+
+    if (!released) {
+      if (!(await InterviewSession.exists(query))) {
+        return res.status(404).json({ error: "Interview session not found" });
       }
+      return res.json({ message: "No voice lease held", released: false });
+    }
+
+    console.log(`🔓 Voice lease ${released.owner} on session ${req.params.sessionId} released by ${req.user.id}`);
+    res.json({
+      message: "Voice lease released",
+      released: true,
+      voiceLease: { owner: released.owner, questionIndex: released.questionIndex, acquiredAt: released.acquiredAt, expiresAt: released.expiresAt }
     });
 
   } catch (error) {
-    console.error("❌ Voice answer error:", error);
-    
-    // Clear processing flag on error
-    try {
-      const errorSession = await InterviewSession.findById(req.params.sessionId);
-      if (errorSession) {
-        errorSession.processingVoice = false;
-        await errorSession.save();
+    console.error("Error releasing voice lease:", error);
+    res.status(500).json({ error: "Failed to release voice lease" });
+  }
+});
+
+// Play back a retained voice recording (answers[index] as returned with the session); supports Range requests
+router.get("/session/:sessionId/answers/:index/audio", authMiddleware.forMedia('sessions:read'), async (req, res) => {
+  try {
+    const session = await InterviewSession.findOne(
+      ownedQuery(req, { _id: req.params.sessionId }, 'coach', 'admin')
+    ).select('answers.audioFilePath answers.audioExpiresAt');
+
+    if (!session) {
+      return res.status(404).json({ error: "Interview session not found" });
+    }
+
+    const index = parseInt(req.params.index);
+    const answer = session.answers[index];
+    if (!answer || String(index) !== req.params.index) {
+      return res.status(404).json({ error: "Answer not found" });
+    }
+    if (!answer.audioFilePath) {
+      return res.status(404).json({ error: "No recording was kept for this answer" });
+    }
+    if (answer.audioExpiresAt && answer.audioExpiresAt <= new Date()) {
+      return res.status(410).json({ error: "This recording has expired" });
+    }
+
+    res.set('Cache-Control', 'private, max-age=3600');
+    res.type(audioRetentionService.getContentType(answer.audioFilePath));
+    res.sendFile(audioRetentionService.resolvePath(answer.audioFilePath), (err) => {
+      if (err && err.status === 416 && !res.headersSent) {
+        res.status(416).end();
+      } else if (err && !res.headersSent) {
+        console.error("Audio playback error:", err.message);
+        res.status(410).json({ error: "This recording is no longer available" });
       }
-    } catch (flagError) {
-      console.error("Failed to clear processing flag:", flagError);
+    });
+
+  } catch (error) {
+    console.error("Error streaming answer audio:", error);
+    res.status(500).json({ error: "Failed to stream audio" });
+  }
+});
+
+// Status of a background job (feedback or transcription) and its result once finished
+router.get("/jobs/:jobId", authMiddleware.withScopes('sessions:read'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.jobId)) {
+      return res.status(404).json({ error: "Job not found" });
     }
-    
-    // Clean up audio file if it exists
-    if (req.file && fs.existsSync(req.file.path)) {
-      fs.unlinkSync(req.file.path);
+
+    const job = await jobQueue.getJob(req.params.jobId, req.user.id);
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
     }
-    
-    res.status(500).json({ error: "Failed to process voice answer" });
+
+    res.json({
+      jobId: job._id,
+      type: job.type,
+      status: job.status,
+      sessionId: job.sessionId,
+      attempts: job.attempts,
+      maxAttempts: job.maxAttempts,
+      progress: job.progress,
+      result: job.result,
+      error: job.error,
+      errorCode: job.errorCode,
+      nextAttemptAt: job.status === 'queued' && job.attempts > 0 ? job.runAt : undefined,
+      createdAt: job.createdAt,
+      finishedAt: job.finishedAt
+    });
+
+  } catch (error) {
+    console.error("Error fetching job:", error);
+    res.status(500).json({ error: "Failed to fetch job" });
   }
 });
 
@@ -756,7 +1073,7 @@ router.get("/session/:sessionId/debug", authMiddleware, async (req, res) => {
       lastActivity: session?.lastActivity,
       userId: req.user.id,
       sessionUserId: session?.userId,
-      questionsAnswered: session?.answers?.length || 0,
+      questionsAnswered: session?.getAnsweredCount() || 0,
       totalQuestions: session?.questions?.length || 0,
       isExpired: session?.isExpired?.() || false
     });
@@ -766,13 +1083,91 @@ router.get("/session/:sessionId/debug", authMiddleware, async (req, res) => {
   }
 });
 
-// Get session details
-router.get("/session/:sessionId", authMiddleware, async (req, res) => {
+// Live session updates as Server-Sent Events. EventSource can't send headers, so
+// the token may also be passed as ?access_token=. Reconnects resume from Last-Event-ID.
+router.get("/session/:sessionId/events", authMiddleware.forEventStream('sessions:read'), async (req, res) => {
+  let session;
   try {
-    const session = await InterviewSession.findOne({
-      _id: req.params.sessionId,
-      userId: req.user.id
-    }).populate('resumeId', 'originalName skills jobTitles');
+    session = await InterviewSession.findOne(
+      ownedQuery(req, { _id: req.params.sessionId }, 'coach', 'admin')
+    );
+  } catch (error) {
+    console.error("Error opening event stream:", error);
+    return res.status(500).json({ error: "Failed to open event stream" });
+  }
+
+  if (!session) {
+    return res.status(404).json({ error: "Interview session not found" });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    // Stop nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  res.write('retry: 3000\n\n');
+
+  const lastEventId = parseInt(req.header('Last-Event-ID') || req.query.lastEventId);
+  if (Number.isInteger(lastEventId)) {
+    sessionEvents.getEventsSince(session._id, lastEventId).forEach(send);
+  }
+
+  // Snapshot so a fresh client doesn't have to fetch the session separately
+  const currentIndex = session.getNextQuestionIndex();
+  res.write(`event: session.state\ndata: ${JSON.stringify({
+    sessionId: session._id,
+    status: session.status,
+    currentQuestionIndex: currentIndex,
+    clock: currentIndex !== null && session.questions[currentIndex] ? questionTimingService.getClock(session, currentIndex) : null,
+    progress: {
+      answered: session.getAnsweredCount(),
+      total: session.getTotalQuestions()
+    },
+    voiceLease: voiceLeaseService.describe(session)
+  })}\n\n`);
+
+  const unsubscribe = sessionEvents.subscribe(session._id, send);
+  // Comment lines keep proxies from closing an idle connection. The token was only checked
+  // when the stream opened, so each heartbeat also ends the stream once it expired or was revoked.
+  const heartbeat = setInterval(async () => {
+    let valid;
+    try {
+      valid = await authMiddleware.isStillValid(req.user);
+    } catch (error) {
+      console.error("Event stream auth check failed:", error.message);
+      valid = false;
+    }
+    if (res.writableEnded) return;
+    if (!valid) {
+      // The client's reconnect then gets 401 and needs a fresh token
+      res.write(`event: auth.expired\ndata: ${JSON.stringify({ sessionId: session._id })}\n\n`);
+      stop();
+      return res.end();
+    }
+    res.write(': heartbeat\n\n');
+  }, 25000);
+
+  const stop = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+  req.on('close', stop);
+});
+
+// Get session details (coaches and admins may view any session)
+router.get("/session/:sessionId", authMiddleware.withScopes('sessions:read'), async (req, res) => {
+  try {
+    const session = await InterviewSession.findOne(
+      ownedQuery(req, { _id: req.params.sessionId }, 'coach', 'admin')
+    ).populate('resumeId', 'originalName skills jobTitles');
 
     if (!session) {
       return res.status(404).json({ error: "Interview session not found" });
@@ -787,8 +1182,13 @@ router.get("/session/:sessionId", authMiddleware, async (req, res) => {
       feedback: session.feedback,
       performance: session.performance,
       settings: session.settings,
+      difficultyPath: session.difficultyPath,
       startedAt: session.startedAt,
       completedAt: session.completedAt,
+      pausedAt: session.pausedAt,
+      pausedDuration: session.pausedDuration,
+      abandonedAt: session.abandonedAt,
+      abandonReason: session.abandonReason,
       duration: session.duration,
       resume: session.resumeId ? {
         filename: session.resumeId.originalName,
@@ -803,8 +1203,32 @@ router.get("/session/:sessionId", authMiddleware, async (req, res) => {
   }
 });
 
+// Delete a session with its jobs and retained recordings (owner or admin)
+router.delete("/session/:sessionId", authMiddleware.withScopes('interview:write'), async (req, res) => {
+  try {
+    const session = await InterviewSession.findOne(
+      ownedQuery(req, { _id: req.params.sessionId }, 'admin')
+    ).select('_id');
+
+    if (!session) {
+      return res.status(404).json({ error: "Interview session not found" });
+    }
+
+    const recordings = await audioRetentionService.deleteForSessions([session._id]);
+    await Job.deleteMany({ sessionId: session._id });
+    await InterviewSession.deleteOne({ _id: session._id });
+
+    console.log(`🗑️ Deleted interview session ${session._id} (${recordings} recording(s))`);
+    res.json({ message: "Interview session deleted", recordingsDeleted: recordings });
+
+  } catch (error) {
+    console.error("Error deleting session:", error);
+    res.status(500).json({ error: "Failed to delete session" });
+  }
+});
+
 // Get all user sessions
-router.get("/sessions", authMiddleware, async (req, res) => {
+router.get("/sessions", authMiddleware.withScopes('sessions:read'), async (req, res) => {
   try {
     const { status, role, limit = 20, page = 1 } = req.query;
     
@@ -816,7 +1240,7 @@ router.get("/sessions", authMiddleware, async (req, res) => {
       .sort({ createdAt: -1 })
       .limit(parseInt(limit))
       .skip((parseInt(page) - 1) * parseInt(limit))
-      .select('role status performance startedAt completedAt createdAt questions answers');
+      .select('role status performance settings startedAt completedAt createdAt questions answers');
 
     const total = await InterviewSession.countDocuments(query);
 
@@ -826,8 +1250,8 @@ router.get("/sessions", authMiddleware, async (req, res) => {
         role: session.role,
         status: session.status,
         overallScore: session.performance.overallScore,
-        questionsAnswered: session.answers.length,
-        totalQuestions: session.questions.length,
+        questionsAnswered: session.getAnsweredCount(),
+        totalQuestions: session.getTotalQuestions(),
         completionRate: session.performance.completionRate,
         startedAt: session.startedAt,
         completedAt: session.completedAt,
@@ -850,7 +1274,7 @@ router.get("/sessions", authMiddleware, async (req, res) => {
 // ==================== ANALYTICS ROUTES ====================
 
 // Get user analytics
-router.get("/analytics", authMiddleware, async (req, res) => {
+router.get("/analytics", authMiddleware.withScopes('analytics:read'), async (req, res) => {
   try {
     const { timeframe = 'all' } = req.query;
     const analytics = await analyticsService.generateUserAnalytics(req.user.id, timeframe);
@@ -861,37 +1285,42 @@ router.get("/analytics", authMiddleware, async (req, res) => {
   }
 });
 
-// Get session summary/feedback
-router.get("/session/:sessionId/summary", authMiddleware, async (req, res) => {
+// Get session summary/feedback (coaches and admins may view any session)
+router.get("/session/:sessionId/summary", authMiddleware.withScopes('sessions:read'), async (req, res) => {
   try {
-    const session = await InterviewSession.findOne({
-      _id: req.params.sessionId,
-      userId: req.user.id
-    });
+    const session = await InterviewSession.findOne(
+      ownedQuery(req, { _id: req.params.sessionId }, 'coach', 'admin')
+    );
 
     if (!session) {
       return res.status(404).json({ error: "Interview session not found" });
     }
 
-    if (session.status !== 'completed') {
+    // Abandoned sessions get a partial summary of what was answered
+    if (!['completed', 'abandoned'].includes(session.status)) {
       return res.status(400).json({ error: "Interview session is not completed yet" });
     }
 
     // Generate comprehensive summary
-    const summary = feedbackService.generateInterviewSummary(session.feedback);
+    // One feedback per question (best or latest attempt); detailedFeedback keeps every attempt
+    const summary = feedbackService.generateInterviewSummary(session.getScoredFeedback());
     
     res.json({
       sessionId: session._id,
       role: session.role,
+      status: session.status,
       completedAt: session.completedAt,
+      abandonedAt: session.abandonedAt,
       duration: session.duration,
       performance: session.performance,
       summary: summary,
+      difficultyProgression: adaptiveDifficultyService.summarizePath(session),
+      delivery: deliveryAnalysisService.summarize(session.answers),
       detailedFeedback: session.feedback,
       answers: session.answers,
       questions: session.questions,
-      questionsAnswered: session.answers.length,
-      totalQuestions: session.questions.length
+      questionsAnswered: session.getAnsweredCount(),
+      totalQuestions: session.getTotalQuestions()
     });
 
   } catch (error) {
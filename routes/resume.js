@@ -43,7 +43,7 @@ const upload = multer({
 });
 
 // Upload resume
-router.post("/upload", authMiddleware, upload.single("resume"), async (req, res) => {
+router.post("/upload", authMiddleware.withScopes("resume:write"), upload.single("resume"), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: "No file uploaded" });
@@ -87,7 +87,7 @@ router.post("/upload", authMiddleware, upload.single("resume"), async (req, res)
 });
 
 // Get user's active resume
-router.get("/active", authMiddleware, async (req, res) => {
+router.get("/active", authMiddleware.withScopes("resume:read"), async (req, res) => {
   try {
     const userId = req.user.id;
     const resume = await resumeService.getActiveResume(userId);
@@ -117,7 +117,7 @@ router.get("/active", authMiddleware, async (req, res) => {
 });
 
 // Get all user resumes
-router.get("/", authMiddleware, async (req, res) => {
+router.get("/", authMiddleware.withScopes("resume:read"), async (req, res) => {
   try {
     const userId = req.user.id;
     const resumes = await resumeService.getUserResumes(userId);
@@ -140,7 +140,7 @@ router.get("/", authMiddleware, async (req, res) => {
 });
 
 // Delete resume
-router.delete("/:resumeId", authMiddleware, async (req, res) => {
+router.delete("/:resumeId", authMiddleware.withScopes("resume:write"), async (req, res) => {
   try {
     const userId = req.user.id;
     const resumeId = req.params.resumeId;
@@ -158,7 +158,7 @@ router.delete("/:resumeId", authMiddleware, async (req, res) => {
 });
 
 // Get job role suggestions based on resume
-router.get("/suggestions", authMiddleware, async (req, res) => {
+router.get("/suggestions", authMiddleware.withScopes("resume:read"), async (req, res) => {
   try {
     const userId = req.user.id;
     const resume = await resumeService.getActiveResume(userId);
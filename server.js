@@ -6,11 +6,15 @@ const authMiddleware = require("./middleware/authMiddleware");
 const InterviewSession = require("./models/interviewSession");
 const User = require("./models/user");
 const Resume = require("./models/resume");
+const sessionSweeper = require("./services/sessionSweeper");
+const audioRetentionService = require("./services/audioRetentionService");
+const jobQueue = require("./services/jobQueue");
 
 // Import routes
 const authRoutes = require("./routes/auth");
 const interviewRoutes = require("./routes/interview");
 const resumeRoutes = require("./routes/resume");
+const adminRoutes = require("./routes/admin");
 
 const app = express();
 
@@ -26,7 +30,8 @@ const corsOptions = {
     "http://localhost:3000"
   ],
   credentials: true,
-  allowedHeaders: ["Content-Type", "Authorization"],
+  allowedHeaders: ["Content-Type", "Authorization", "Idempotency-Key"],
+  exposedHeaders: ["Idempotent-Replayed", "Retry-After"],
   methods: ["GET", "POST", "PUT", "DELETE"]
 };
 
@@ -37,18 +42,27 @@ app.use(cors(corsOptions));
 // MongoDB Connection
 mongoose
   .connect(process.env.MONGO_URI)
-  .then(() => console.log("✅ MongoDB connected"))
+  .then(() => {
+    console.log("✅ MongoDB connected");
+    sessionSweeper.start();
+    audioRetentionService.start();
+    // Feedback and transcription jobs; with JOB_WORKER_MODE=external they run in worker.js
+    if (jobQueue.mode === "embedded") jobQueue.start();
+    // Publishes session events for jobs finished by external workers
+    jobQueue.startNotifier();
+  })
   .catch((err) => console.error("MongoDB connection error:", err));
 
 // Routes
 app.use("/api/auth", authRoutes);
 app.use("/api/interview", interviewRoutes);
 app.use("/api/resume", resumeRoutes);
+app.use("/api/admin", adminRoutes);
 
 // Dashboard route - Enhanced with resume info
 app.get("/api/dashboard", authMiddleware, async (req, res) => {
   try {
-    const user = await User.findById(req.user.id).select("-password");
+    const user = await User.findById(req.user.id);
     if (!user) return res.status(404).json({ error: "User not found" });
 
     // Get recent interviews with enhanced data (latest 10 for the list)
@@ -56,7 +70,7 @@ app.get("/api/dashboard", authMiddleware, async (req, res) => {
       .sort({ createdAt: -1 })
       .limit(10)
       .populate('resumeId', 'originalName skills')
-      .select('role status performance startedAt completedAt questions answers');
+      .select('role status performance settings startedAt completedAt questions answers');
 
     // Compute stats across ALL sessions (not limited to 10)
     const [totalSessionsAgg, completedAgg, weakestAreaAgg] = await Promise.all([
@@ -119,14 +133,14 @@ app.get("/api/dashboard", authMiddleware, async (req, res) => {
     // Note: stats computed from all sessions above
 
     res.json({ 
-      user, 
+      user: user.toSafeObject(), 
       interviews: interviews.map(interview => ({
         id: interview._id,
         role: interview.role,
         status: interview.status,
         overallScore: interview.performance?.overallScore || 0,
-        questionsAnswered: interview.answers?.length || 0,
-        totalQuestions: interview.questions?.length || 0,
+        questionsAnswered: interview.getAnsweredCount(),
+        totalQuestions: interview.getTotalQuestions(),
         startedAt: interview.startedAt,
         completedAt: interview.completedAt,
         hasResume: !!interview.resumeId
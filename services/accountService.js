@@ -0,0 +1,67 @@
+/**
+ * Account Service - removes a user and everything stored for them
+ */
+
+const User = require("../models/user");
+const InterviewSession = require("../models/interviewSession");
+const RefreshToken = require("../models/refreshToken");
+const PersonalAccessToken = require("../models/personalAccessToken");
+const LoginAttempt = require("../models/loginAttempt");
+const OidcLoginState = require("../models/oidcLoginState");
+const Job = require("../models/job");
+const IdempotencyKey = require("../models/idempotencyKey");
+const resumeService = require("./resumeService");
+const exportService = require("./exportService");
+const preferencesService = require("./preferencesService");
+const audioRetentionService = require("./audioRetentionService");
+
+class AccountService {
+  /**
+   * Delete a user with all sessions (and their recordings), resumes (and their files), data exports,
+   * preferences, tokens, stored idempotent responses and sign-in history
+   * @param {string} userId - The user to delete
+   * @returns {Object} Counts of what was removed
+   */
+  async deleteAccount(userId) {
+    const user = await User.findById(userId).select("email");
+    if (!user) throw new Error("User not found");
+
+    // Kill every credential first so nothing can act on a half-deleted account
+    const [refreshTokens, personalTokens] = await Promise.all([
+      RefreshToken.deleteMany({ userId }),
+      PersonalAccessToken.deleteMany({ userId }),
+      OidcLoginState.deleteMany({ userId })
+    ]);
+
+    const resumes = await resumeService.deleteAllForUser(userId);
+    const dataExports = await exportService.deleteExportsForUser(userId);
+    const sessionIds = await InterviewSession.find({ userId }).distinct('_id');
+    const recordings = await audioRetentionService.deleteForSessions(sessionIds);
+    const sessions = await InterviewSession.deleteMany({ userId });
+    // Queued jobs hold answer text and recording paths; stored idempotent responses hold
+    // answers, feedback and transcripts
+    await Job.deleteMany({ userId });
+    await IdempotencyKey.deleteMany({ userId });
+    await preferencesService.deletePreferences(userId);
+    const loginAttempts = await LoginAttempt.deleteMany({
+      $or: [{ userId }, { email: user.email.toLowerCase() }]
+    });
+
+    await User.deleteOne({ _id: userId });
+
+    const summary = {
+      interviewSessions: sessions.deletedCount,
+      recordings,
+      resumes,
+      dataExports,
+      deviceSessions: refreshTokens.deletedCount,
+      personalAccessTokens: personalTokens.deletedCount,
+      loginAttempts: loginAttempts.deletedCount
+    };
+
+    console.log(`🗑️ Deleted account ${userId}:`, summary);
+    return summary;
+  }
+}
+
+module.exports = new AccountService();
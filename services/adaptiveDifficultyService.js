@@ -0,0 +1,125 @@
+/**
+ * Adaptive Difficulty Service - picks the next question's difficulty from the scores so far
+ * Adaptive sessions start with one question at settings.difficulty; every further
+ * question is generated when it is needed: harder after strong answers, easier after weak ones.
+ */
+
+const questionService = require("./questionService");
+const resumeService = require("./resumeService");
+const Resume = require("../models/resume");
+
+const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard'];
+
+class AdaptiveDifficultyService {
+  constructor() {
+    this.levels = DIFFICULTY_LEVELS;
+    // Running score = average of the most recent answers (one per question)
+    this.scoreWindow = 2;
+    this.stepUpScore = 7.5;
+    this.stepDownScore = 4.5;
+  }
+
+  /**
+   * Average overall score of the last few answered questions, or null before the first answer
+   */
+  getRunningScore(session) {
+    const recent = session.getScoredFeedback().slice(-this.scoreWindow);
+    if (recent.length === 0) return null;
+
+    const total = recent.reduce((sum, fb) => sum + (fb.overallScore || 0), 0);
+    return Math.round((total / recent.length) * 10) / 10;
+  }
+
+  /**
+   * Decide the difficulty of the next question
+   * @returns {Object} { difficulty, change, basedOnScore }
+   */
+  getNextDifficulty(session) {
+    const lastStep = session.difficultyPath[session.difficultyPath.length - 1];
+    const current = lastStep ? lastStep.difficulty : session.settings.difficulty;
+    const runningScore = this.getRunningScore(session);
+
+    if (!lastStep || runningScore === null) {
+      return { difficulty: current, change: lastStep ? 'same' : 'start', basedOnScore: runningScore };
+    }
+
+    const position = this.levels.indexOf(current);
+    if (runningScore >= this.stepUpScore && position < this.levels.length - 1) {
+      return { difficulty: this.levels[position + 1], change: 'up', basedOnScore: runningScore };
+    }
+    if (runningScore <= this.stepDownScore && position > 0) {
+      return { difficulty: this.levels[position - 1], change: 'down', basedOnScore: runningScore };
+    }
+    return { difficulty: current, change: 'same', basedOnScore: runningScore };
+  }
+
+  /**
+   * Make sure an adaptive session has an unseen question to serve, generating one
+   * when needed. Skipped questions only come back once the planned count is reached.
+   * The caller saves the session.
+   * @returns {boolean} Whether a question was added
+   */
+  async ensureNextQuestion(session) {
+    if (!session.settings.adaptive || session.questions.length >= session.getTotalQuestions()) {
+      return false;
+    }
+
+    const hasPending = session.questions.some((question, index) => session.getQuestionStatus(index) === 'pending');
+    if (hasPending) return false;
+
+    const step = this.getNextDifficulty(session);
+    const question = await questionService.generateQuestionAtDifficulty(
+      session.role,
+      await this.getResumeContent(session),
+      step.difficulty,
+      session.questions.map(q => q.text),
+      String(session.userId)
+    );
+
+    session.questions.push({
+      text: question.text,
+      timeLimit: session.settings.timeLimit || question.timeLimit,
+      difficulty: step.difficulty,
+      category: question.category || (questionService.isTechnicalRole(session.role) ? 'technical' : 'general')
+    });
+    session.difficultyPath.push({
+      questionIndex: session.questions.length - 1,
+      difficulty: step.difficulty,
+      change: step.change,
+      basedOnScore: step.basedOnScore
+    });
+
+    console.log(`🎯 Adaptive question ${session.questions.length}/${session.getTotalQuestions()}: ${step.difficulty} (${step.change}, running score ${step.basedOnScore ?? '-'})`);
+    return true;
+  }
+
+  async getResumeContent(session) {
+    if (!session.resumeId) return "";
+    const resume = await Resume.findById(session.resumeId);
+    return resume ? resumeService.generateResumeSummary(resume) : "";
+  }
+
+  /**
+   * Summary of how difficulty moved during a session
+   */
+  summarizePath(session) {
+    const path = session.difficultyPath || [];
+    if (path.length === 0) return null;
+
+    return {
+      start: path[0].difficulty,
+      end: path[path.length - 1].difficulty,
+      peak: path.reduce((peak, step) => (this.levels.indexOf(step.difficulty) > this.levels.indexOf(peak) ? step.difficulty : peak), path[0].difficulty),
+      stepsUp: path.filter(step => step.change === 'up').length,
+      stepsDown: path.filter(step => step.change === 'down').length,
+      path: path.map(step => ({
+        questionIndex: step.questionIndex,
+        difficulty: step.difficulty,
+        change: step.change,
+        basedOnScore: step.basedOnScore
+      }))
+    };
+  }
+}
+
+module.exports = new AdaptiveDifficultyService();
@@ -9,6 +9,8 @@ class AIService {
   constructor() {
     this.ollamaUrl = 'http://localhost:11434'; // Default Ollama port
     this.model = 'llama3.2:3b'; // Lightweight model
+    // A hung generate call would hold a job worker slot; the callers fall back to rule-based output
+    this.timeoutMs = (parseInt(process.env.OLLAMA_TIMEOUT_SECONDS) || 30) * 1000;
     this.isAvailable = false;
     this.checkAvailability();
   }
@@ -53,7 +55,7 @@ class AIService {
           temperature: 0.7,
           max_tokens: 1000
         }
-      });
+      }, { timeout: this.timeoutMs });
 
       const generatedText = response.data.response;
       const questions = this.parseQuestions(generatedText);
@@ -66,6 +68,74 @@ class AIService {
     }
   }
 
+  /**
+   * Generate one interview question at a given difficulty (adaptive interviews)
+   * @returns {Object|null} Question, or null when AI is unavailable or only repeated earlier questions
+   */
+  async generateQuestionAtDifficulty(jobRole, resumeContent = "", difficulty = 'medium', askedQuestions = []) {
+    if (!this.isAvailable) {
+      return null;
+    }
+
+    try {
+      const prompt = this.buildAdaptiveQuestionPrompt(jobRole, resumeContent, difficulty, askedQuestions);
+
+      const response = await axios.post(`${this.ollamaUrl}/api/generate`, {
+        model: this.model,
+        prompt: prompt,
+        stream: false,
+        options: {
+          temperature: 0.8,
+          max_tokens: 200
+        }
+      }, { timeout: this.timeoutMs });
+
+      const asked = askedQuestions.map(question => question.toLowerCase());
+      const question = this.parseQuestions(response.data.response)
+        .find(candidate => !asked.includes(candidate.text.toLowerCase()));
+
+      // The prompt asked for this difficulty; keyword inference would second-guess it
+      return question ? { ...question, difficulty } : null;
+
+    } catch (error) {
+      console.error('AI adaptive question generation failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Generate follow-up questions that probe the candidate's answer
+   * @returns {Array<string>} 0 to maxCount question texts
+   */
+  async generateFollowUps(question, answer, jobRole, maxCount = 2) {
+    if (!this.isAvailable) {
+      return this.getFallbackFollowUps(question, answer, maxCount);
+    }
+
+    try {
+      const prompt = this.buildFollowUpPrompt(question, answer, jobRole, maxCount);
+
+      const response = await axios.post(`${this.ollamaUrl}/api/generate`, {
+        model: this.model,
+        prompt: prompt,
+        stream: false,
+        options: {
+          temperature: 0.6,
+          max_tokens: 300
+        }
+      }, { timeout: this.timeoutMs });
+
+      // "NONE" or anything without Q: lines means no follow-up is needed
+      return this.parseQuestions(response.data.response)
+        .map(followUp => followUp.text)
+        .slice(0, maxCount);
+
+    } catch (error) {
+      console.error('AI follow-up generation failed:', error.message);
+      return this.getFallbackFollowUps(question, answer, maxCount);
+    }
+  }
+
   /**
    * Generate feedback using AI
    */
@@ -85,7 +155,7 @@ class AIService {
           temperature: 0.3, // Lower temperature for more consistent feedback
           max_tokens: 500
         }
-      });
+      }, { timeout: this.timeoutMs });
 
       const generatedText = response.data.response;
       return this.parseFeedback(generatedText, answer);
@@ -123,6 +193,46 @@ Generate ${questionCount} questions now:`;
     return prompt;
   }
 
+  /**
+   * Build prompt for a single question at a target difficulty
+   */
+  buildAdaptiveQuestionPrompt(jobRole, resumeContent, difficulty, askedQuestions) {
+    const levels = {
+      easy: 'an easy, introductory question about background or motivation',
+      medium: 'a medium question about concrete experience and how the candidate approaches their work',
+      hard: 'a hard question that probes depth: complex problems, trade-offs, system design or difficult situations'
+    };
+
+    let prompt = `Generate one interview question for a ${jobRole} position. It should be ${levels[difficulty] || levels.medium}.`;
+
+    if (resumeContent && resumeContent.length > 50) {
+      prompt += `\n\nCandidate's background:\n${resumeContent.substring(0, 500)}`;
+    }
+
+    if (askedQuestions.length > 0) {
+      prompt += `\n\nDo not repeat these questions:\n${askedQuestions.map(question => `- ${question}`).join('\n')}`;
+    }
+
+    prompt += `\n\nWrite the question on a single line starting with "Q:".`;
+
+    return prompt;
+  }
+
+  /**
+   * Build prompt for follow-up questions
+   */
+  buildFollowUpPrompt(question, answer, jobRole, maxCount) {
+    return `You are interviewing a candidate for a ${jobRole} position.
+
+Question: ${question}
+Answer: ${answer}
+
+Write up to ${maxCount} short follow-up questions that probe specific things the candidate said: claims to back up, results to quantify, decisions to explain. Refer to the candidate's own words.
+If the answer does not call for a follow-up, write NONE.
+
+Each follow-up on a new line starting with "Q:", no numbering.`;
+  }
+
   /**
    * Build prompt for feedback generation
    */
@@ -277,6 +387,45 @@ Focus on:
     }));
   }
 
+  /**
+   * Rule-based follow-ups when AI is not available: probe numbers, team work,
+   * problems without an outcome, and answers without an example
+   */
+  getFallbackFollowUps(question, answer, maxCount = 2) {
+    const text = (answer || '').trim();
+    const lower = text.toLowerCase();
+    const wordCount = text.split(/\s+/).filter(Boolean).length;
+
+    if (wordCount < 5 || lower === 'no answer provided') {
+      return [];
+    }
+
+    const followUps = [];
+
+    const metric = text.match(/\b\d+(?:[.,]\d+)?\s*(?:%|percent|x\b|times\b|ms\b|seconds\b|users\b|customers\b)/i);
+    if (metric) {
+      followUps.push(`You mentioned ${metric[0].trim()}. How did you measure that, and what was the baseline?`);
+    }
+
+    const weCount = (lower.match(/\bwe\b/g) || []).length;
+    const iCount = (lower.match(/\bi\b/g) || []).length;
+    if (weCount > iCount || lower.includes('team')) {
+      followUps.push("What was your personal contribution, as opposed to the team's?");
+    }
+
+    const mentionsProblem = /\b(problem|challenge|issue|bug|incident|conflict)\b/.test(lower);
+    const mentionsOutcome = /\b(result|outcome|impact|resolved|solved|fixed|improved|learned)\b/.test(lower);
+    if (mentionsProblem && !mentionsOutcome) {
+      followUps.push("How did that turn out in the end, and what did you learn from it?");
+    }
+
+    if (wordCount < 40 && !/\b(for example|for instance|once|when i|last year|at my)\b/.test(lower)) {
+      followUps.push("Can you walk me through a specific example of that?");
+    }
+
+    return followUps.slice(0, maxCount);
+  }
+
   /**
    * Fallback feedback when AI is not available
    */
@@ -67,13 +67,13 @@ class AnalyticsService {
   generateOverview(sessions) {
     const totalSessions = sessions.length;
     const completedSessions = sessions.filter(s => s.status === 'completed').length;
-    const totalQuestions = sessions.reduce((sum, s) => sum + (s.answers?.length || 0), 0);
+    const totalQuestions = sessions.reduce((sum, s) => sum + s.getAnsweredCount(), 0);
     const averageQuestionsPerSession = totalSessions > 0 ? Math.round(totalQuestions / totalSessions) : 0;
 
     // Calculate average scores
+    // Re-attempts count once per question, like in calculatePerformance()
     const allScores = sessions
-      .filter(s => s.feedback && s.feedback.length > 0)
-      .flatMap(s => s.feedback.map(f => f.overallScore || 0));
+      .flatMap(s => s.getScoredFeedback().map(f => f.overallScore || 0));
     
     const averageScore = allScores.length > 0 
       ? Math.round((allScores.reduce((sum, score) => sum + score, 0) / allScores.length) * 10) / 10
@@ -102,7 +102,7 @@ class AnalyticsService {
   }
 
   generatePerformanceAnalytics(sessions) {
-    const completedSessions = sessions.filter(s => s.feedback && s.feedback.length > 0);
+    const completedSessions = sessions.filter(s => s.getScoredFeedback().length > 0);
     
     if (completedSessions.length === 0) {
       return {
@@ -119,7 +119,7 @@ class AnalyticsService {
     const categoryCount = { content: 0, clarity: 0, confidence: 0, professionalism: 0 };
 
     completedSessions.forEach(session => {
-      session.feedback.forEach(feedback => {
+      session.getScoredFeedback().forEach(feedback => {
         if (feedback.scores) {
           Object.entries(feedback.scores).forEach(([category, score]) => {
             if (categoryTotals.hasOwnProperty(category)) {
@@ -140,7 +140,7 @@ class AnalyticsService {
 
     // Performance distribution
     const allScores = completedSessions.flatMap(s => 
-      s.feedback.map(f => f.overallScore || 0)
+      s.getScoredFeedback().map(f => f.overallScore || 0)
     );
 
     const performanceDistribution = {};
@@ -185,8 +185,9 @@ class AnalyticsService {
       .slice(0, 10)
       .reverse()
       .map(session => {
-        const sessionAverage = session.feedback.length > 0
-          ? session.feedback.reduce((sum, f) => sum + (f.overallScore || 0), 0) / session.feedback.length
+        const scoredFeedback = session.getScoredFeedback();
+        const sessionAverage = scoredFeedback.length > 0
+          ? scoredFeedback.reduce((sum, f) => sum + (f.overallScore || 0), 0) / scoredFeedback.length
           : 0;
         
         return {
@@ -230,8 +231,9 @@ class AnalyticsService {
 
     // Calculate consistency (standard deviation of scores)
     const allScores = sessions
-      .filter(s => s.feedback && s.feedback.length > 0)
-      .map(s => s.feedback.reduce((sum, f) => sum + (f.overallScore || 0), 0) / s.feedback.length);
+      .map(s => s.getScoredFeedback())
+      .filter(feedback => feedback.length > 0)
+      .map(feedback => feedback.reduce((sum, f) => sum + (f.overallScore || 0), 0) / feedback.length);
 
     const consistencyScore = this.calculateConsistency(allScores);
 
@@ -262,8 +264,9 @@ class AnalyticsService {
       
       skillsData[role].sessions++;
       
-      if (session.feedback && session.feedback.length > 0) {
-        const sessionAverage = session.feedback.reduce((sum, f) => sum + (f.overallScore || 0), 0) / session.feedback.length;
+      const scoredFeedback = session.getScoredFeedback();
+      if (scoredFeedback.length > 0) {
+        const sessionAverage = scoredFeedback.reduce((sum, f) => sum + (f.overallScore || 0), 0) / scoredFeedback.length;
         skillsData[role].totalScore += sessionAverage;
       }
       
@@ -369,8 +372,7 @@ class AnalyticsService {
 
   calculateSessionsAverage(sessions) {
     const scores = sessions
-      .filter(s => s.feedback && s.feedback.length > 0)
-      .flatMap(s => s.feedback.map(f => f.overallScore || 0));
+      .flatMap(s => s.getScoredFeedback().map(f => f.overallScore || 0));
     
     return scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) / scores.length : 0;
   }
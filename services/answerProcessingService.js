@@ -0,0 +1,328 @@
+/**
+ * Answer Processing Service - the background half of answering a question
+ * Registers the 'feedback' and 'transcription' job handlers with the job queue and
+ * turns finished jobs into session events (feedback.ready, transcription.completed, ...).
+ * Requiring this module is what makes a process able to run those jobs.
+ */
+
+const fs = require("fs");
+const mongoose = require("mongoose");
+const InterviewSession = require("../models/interviewSession");
+const jobQueue = require("./jobQueue");
+const feedbackService = require("./feedbackService");
+const questionService = require("./questionService");
+const adaptiveDifficultyService = require("./adaptiveDifficultyService");
+const questionTimingService = require("./questionTimingService");
+const transcriptionService = require("./transcriptionService");
+const sessionEvents = require("./sessionEvents");
+const voiceLeaseService = require("./voiceLeaseService");
+const deliveryAnalysisService = require("./deliveryAnalysisService");
+const audioRetentionService = require("./audioRetentionService");
+const transcriptConfidenceService = require("./transcriptConfidenceService");
+
+const permanentError = (message) => {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+};
+
+const removeFile = (filePath) => {
+  if (filePath && fs.existsSync(filePath)) fs.unlinkSync(filePath);
+};
+
+class AnswerProcessingService {
+  constructor() {
+    jobQueue.register('feedback', job => this.processFeedback(job), {
+      onFailed: job => this.feedbackFailed(job)
+    });
+    // Transcriptions get slots of their own so voice review never waits behind LLM feedback
+    jobQueue.register('transcription', (job, context) => this.processTranscription(job, context), {
+      onFailed: job => this.transcriptionFailed(job),
+      slots: parseInt(process.env.JOB_TRANSCRIPTION_SLOTS) || 1
+    });
+
+    jobQueue.on('finished', job => this.publishOutcome(job));
+    jobQueue.on('progress', (job, data) => {
+      if (job.type === 'transcription') {
+        sessionEvents.publish(job.sessionId, 'transcription.progress', {
+          jobId: job._id,
+          questionIndex: job.payload.questionIndex,
+          ...data
+        });
+      }
+    });
+  }
+
+  /**
+   * Mark an answer as waiting for feedback, save the session and queue the feedback job.
+   * The session is saved first so the worker always finds the answer. The save only
+   * goes through while the session is active and no other request has stored the same
+   * attempt; otherwise it throws DocumentNotFoundError.
+   * @returns {Object} The queued job
+   */
+  async queueFeedback(session, answer, options = {}) {
+    answer.feedbackStatus = 'pending';
+    answer.feedbackJobId = new mongoose.Types.ObjectId();
+
+    session.$where = {
+      status: 'active',
+      answers: { $not: { $elemMatch: { questionIndex: answer.questionIndex, attempt: answer.attempt } } }
+    };
+    try {
+      await session.save();
+    } finally {
+      session.$where = undefined;
+    }
+
+    try {
+      return await jobQueue.enqueue('feedback', {
+        questionIndex: answer.questionIndex,
+        attempt: answer.attempt,
+        penalize: options.penalize || false
+      }, { jobId: answer.feedbackJobId, userId: session.userId, sessionId: session._id });
+    } catch (error) {
+      answer.feedbackStatus = 'failed';
+      await session.save();
+      throw error;
+    }
+  }
+
+  // The job takes over the session's voice lease: its id is the lease owner.
+  // file.path is the WAV for transcription, removed afterwards; with retainAudio the
+  // original upload (file.originalPath) is kept for playback.
+  async queueTranscription(session, questionIndex, file, lease, options = {}) {
+    const retainAudio = !!(options.retainAudio && file.originalPath);
+    return jobQueue.enqueue('transcription', {
+      questionIndex,
+      questionText: session.questions[questionIndex].text,
+      audioPath: file.path,
+      audioFileName: file.filename,
+      recordingPath: retainAudio ? file.originalPath : undefined,
+      recordingFileName: retainAudio ? file.originalFilename : undefined,
+      retainAudio,
+      leaseOwner: lease.owner
+    }, { jobId: lease.owner, userId: session.userId, sessionId: session._id });
+  }
+
+  /**
+   * The candidate's finished transcription of this question, for attaching its delivery
+   * metrics to the submitted answer; null when the job doesn't belong to the session and question
+   */
+  async findTranscriptionJob(session, questionIndex, jobId) {
+    if (!mongoose.isValidObjectId(jobId)) return null;
+
+    const job = await jobQueue.getJob(jobId, session.userId);
+    if (!job || job.type !== 'transcription' || job.status !== 'completed') return null;
+    if (!session._id.equals(job.sessionId) || job.result?.questionIndex !== questionIndex) return null;
+    return job;
+  }
+
+  findAnswer(session, questionIndex, attempt) {
+    return session.answers.find(answer =>
+      session.getAnswerQuestionIndex(answer) === questionIndex && answer.attempt === attempt
+    );
+  }
+
+  async processFeedback(job) {
+    const { questionIndex, attempt, penalize } = job.payload;
+    let session = await InterviewSession.findById(job.sessionId);
+    if (!session) throw permanentError("Interview session not found");
+
+    const answer = this.findAnswer(session, questionIndex, attempt);
+    if (!answer) throw permanentError("Answer not found");
+
+    // An earlier attempt saved everything but didn't get to mark the job done
+    if (answer.feedbackStatus === 'ready') {
+      return this.buildFeedbackResult(session, questionIndex, attempt, []);
+    }
+
+    const feedback = await feedbackService.generateFeedback(answer.question, answer.answer, session.role);
+    feedback.questionIndex = questionIndex;
+    feedback.attempt = attempt;
+    feedback.responseTime = answer.serverResponseTime;
+    if (penalize) {
+      questionTimingService.applyPenalty(feedback);
+    }
+    // Voice answers get a separate delivery assessment; content scores stay as for typed answers
+    if (answer.delivery?.wordsPerMinute != null) {
+      feedback.delivery = deliveryAnalysisService.assess(answer.delivery);
+    }
+
+    // Answers submitted while the feedback was generated change the session's version;
+    // apply the feedback to a fresh copy rather than generating it again
+    for (let conflicts = 0; ; conflicts++) {
+      try {
+        return await this.applyFeedback(session, feedback);
+      } catch (error) {
+        if (error.name !== 'VersionError' || conflicts >= 2) throw error;
+        session = await InterviewSession.findById(job.sessionId);
+      }
+    }
+  }
+
+  async applyFeedback(session, feedback) {
+    const { questionIndex, attempt } = feedback;
+    const answer = this.findAnswer(session, questionIndex, attempt);
+    if (answer.feedbackStatus === 'ready') {
+      return this.buildFeedbackResult(session, questionIndex, attempt, []);
+    }
+
+    session.feedback.push(feedback);
+    answer.feedbackStatus = 'ready';
+
+    let followUpIndices = [];
+    if (['active', 'paused'].includes(session.status)) {
+      // Probe the first attempt at a question with follow-ups (when enabled and within the cap)
+      if (attempt === 1) {
+        followUpIndices = await questionService.addFollowUps(session, questionIndex, answer.answer);
+      }
+      await this.advance(session);
+    } else {
+      // Abandoned while the feedback was being generated: count it in the partial results
+      session.calculatePerformance();
+    }
+
+    await session.save();
+    console.log(`💬 Feedback ready for question ${questionIndex + 1} (attempt ${attempt}) in session ${session._id}`);
+
+    return this.buildFeedbackResult(session, questionIndex, attempt, followUpIndices);
+  }
+
+  /**
+   * After an answer's feedback is settled: complete the session once every question
+   * is answered and no feedback is outstanding, otherwise make sure the next question exists
+   */
+  async advance(session) {
+    const answeredCount = session.getAnsweredCount();
+    const totalQuestions = session.getTotalQuestions();
+    console.log(`📊 Interview progress: ${answeredCount}/${totalQuestions} questions answered`);
+
+    if (session.status === 'active' && session.settings.autoComplete &&
+        answeredCount >= totalQuestions && session.getPendingFeedbackCount() === 0) {
+      console.log("✅ Interview completed - marking session as finished");
+      session.complete();
+    } else if (session.status === 'active' && session.getPendingFeedbackCount() === 0) {
+      // Adaptive sessions: choose the next question's difficulty once every score is in
+      await adaptiveDifficultyService.ensureNextQuestion(session);
+    }
+  }
+
+  buildFeedbackResult(session, questionIndex, attempt, followUpIndices) {
+    const feedback = session.feedback.find(fb => fb.questionIndex === questionIndex && fb.attempt === attempt).toObject();
+    const completed = session.status === 'completed';
+
+    const result = {
+      questionIndex,
+      attempt,
+      feedback: {
+        scores: feedback.scores,
+        overallScore: feedback.overallScore,
+        timePenalty: feedback.timePenalty,
+        feedback: feedback.feedback,
+        suggestions: feedback.suggestions,
+        delivery: feedback.delivery
+      },
+      followUps: followUpIndices.map(index => session.formatQuestion(index)),
+      progress: Math.round((session.getAnsweredCount() / session.getTotalQuestions()) * 100),
+      completed
+    };
+
+    const nextQuestionIndex = session.getNextQuestionIndex();
+    if (completed) {
+      const { performance } = session.toObject();
+      result.finalResults = {
+        overallScore: performance.overallScore,
+        categoryScores: performance.categoryScores,
+        totalTime: performance.totalTime,
+        completionRate: performance.completionRate
+      };
+    } else if (nextQuestionIndex !== null) {
+      result.nextQuestion = session.formatQuestion(nextQuestionIndex);
+    } else {
+      // Every question is answered but the session waits for an explicit /complete
+      result.readyToComplete = true;
+    }
+
+    return result;
+  }
+
+  // The answer still counts as answered, just without a score
+  async feedbackFailed(job) {
+    const session = await InterviewSession.findById(job.sessionId);
+    if (!session) return;
+
+    const answer = this.findAnswer(session, job.payload.questionIndex, job.payload.attempt);
+    if (!answer || answer.feedbackStatus !== 'pending') return;
+
+    answer.feedbackStatus = 'failed';
+    await this.advance(session);
+    await session.save();
+  }
+
+  async processTranscription(job, context) {
+    const { questionIndex, questionText, audioPath, recordingFileName, retainAudio, leaseOwner } = job.payload;
+
+    const session = await InterviewSession.findById(job.sessionId);
+    if (!session || session.status !== 'active') {
+      throw permanentError("Session became inactive during processing");
+    }
+
+    // Each attempt starts with a fresh lease period; a released lease means the upload was cancelled
+    if (!(await voiceLeaseService.renew(job.sessionId, leaseOwner))) {
+      throw permanentError("Voice processing was cancelled or its lease expired");
+    }
+
+    const result = await transcriptionService.transcribe(
+      audioPath, questionText, progress => context.progress(progress), session.settings.language
+    );
+    console.log(`📝 Transcript ready for review (${result.transcript.length} chars): "${result.transcript.substring(0, 50)}..."`);
+
+    await voiceLeaseService.release(job.sessionId, leaseOwner, { lastActivity: new Date() });
+    removeFile(audioPath);
+
+    const tokens = transcriptConfidenceService.buildTokens(result.segments);
+    const quality = transcriptConfidenceService.rate(result.segments, tokens);
+
+    // Not saved as an answer yet: the candidate reviews the transcript and submits it
+    return {
+      questionIndex,
+      transcript: result.transcript,
+      tokens, // words with confidence; lowConfidence ones are worth a second look
+      quality,
+      // Submit the job id with the answer to keep these with it
+      audioFilePath: retainAudio ? recordingFileName : undefined,
+      audioExpiresAt: retainAudio ? audioRetentionService.getExpiry() : undefined,
+      delivery: deliveryAnalysisService.analyze(result),
+      needsSubmission: true
+    };
+  }
+
+  async transcriptionFailed(job) {
+    await voiceLeaseService.release(job.sessionId, job.payload.leaseOwner);
+    removeFile(job.payload.audioPath);
+    if (job.payload.recordingPath) removeFile(job.payload.recordingPath);
+  }
+
+  /**
+   * Publish the session events for a finished job
+   */
+  publishOutcome(job) {
+    if (!job.sessionId) return;
+    const { questionIndex, attempt } = job.payload;
+
+    if (job.type === 'feedback' && job.status === 'completed') {
+      sessionEvents.publish(job.sessionId, 'feedback.ready', { jobId: job._id, ...job.result });
+      if (job.result.completed) {
+        sessionEvents.publish(job.sessionId, 'session.completed', { finalResults: job.result.finalResults });
+      }
+    } else if (job.type === 'feedback') {
+      sessionEvents.publish(job.sessionId, 'feedback.failed', { jobId: job._id, questionIndex, attempt, error: job.error });
+    } else if (job.status === 'completed') {
+      sessionEvents.publish(job.sessionId, 'transcription.completed', { jobId: job._id, ...job.result });
+    } else {
+      sessionEvents.publish(job.sessionId, 'transcription.failed', { jobId: job._id, questionIndex, error: job.error, errorCode: job.errorCode });
+    }
+  }
+}
+
+module.exports = new AnswerProcessingService();
@@ -0,0 +1,258 @@
+/**
+ * Audio Processing Service - checks and normalizes voice recordings before transcription
+ * ffprobe reads the real container and codec (the upload's declared mimetype is only
+ * a hint), then a single FFmpeg pass converts the recording to 16 kHz mono WAV, which
+ * every STT provider gets as input, while detecting silence. The original upload is kept
+ * only when the candidate retains recordings (the WAV is several times larger). Recordings
+ * that are empty, corrupt, silent or longer than the question allows are rejected with a
+ * clear error.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { spawn } = require("child_process");
+const questionTimingService = require("./questionTimingService");
+
+// ffprobe format names and audio codecs browsers and phones record with
+const ALLOWED_FORMATS = ['matroska', 'webm', 'ogg', 'wav', 'mp3', 'mp4', 'm4a', 'mov', 'flac', 'aac'];
+const ALLOWED_CODECS = ['opus', 'vorbis', 'mp3', 'aac', 'flac', 'alac'];
+
+// Rejections carry the HTTP status for the upload route and a machine-readable code
+const audioError = (status, code, message) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+class AudioProcessingService {
+  constructor() {
+    this.ffmpegPath = process.env.FFMPEG_PATH || "ffmpeg";
+    this.ffprobePath = process.env.FFPROBE_PATH || "ffprobe";
+    this.minDurationSeconds = 1;
+    // Quieter than this counts as silence (dBFS)
+    this.silenceThresholdDb = parseInt(process.env.AUDIO_SILENCE_THRESHOLD_DB) || -50;
+    // Less sound than this in a whole recording means nothing was said
+    this.minSpeechSeconds = 0.5;
+    this.timeoutMs = 60000;
+  }
+
+  /**
+   * Longest recording accepted for a question: its time limit plus the timing grace period
+   */
+  getMaxDuration(question) {
+    return question.timeLimit + questionTimingService.graceSeconds;
+  }
+
+  /**
+   * Validate an uploaded recording and write a normalized WAV next to it for transcription.
+   * The original upload is removed unless keepOriginal is set; on rejection both files are.
+   * @param {string} filePath - The upload as stored by multer
+   * @param {Object} options - { maxDuration } in seconds, { keepOriginal } for playback
+   * @returns {Promise<Object>} { path, fileName, originalPath, originalFileName, duration, format,
+   *   codec, sampleRate, channels, silence }; original* are null when the upload was removed
+   */
+  async prepare(filePath, options = {}) {
+    const wavPath = path.join(path.dirname(filePath), `${path.basename(filePath, path.extname(filePath))}-16k.wav`);
+    try {
+      const { size } = await fs.promises.stat(filePath);
+      if (size === 0) {
+        throw audioError(400, 'audio_empty', "The recording is empty. Please record your answer again.");
+      }
+
+      const probe = await this.inspect(filePath);
+      // Containers such as webm from MediaRecorder often carry no duration; check early when they do
+      if (options.maxDuration && probe.duration > options.maxDuration + 1) {
+        throw this.tooLong(probe.duration, options.maxDuration);
+      }
+
+      const silences = await this.normalize(filePath, wavPath);
+      const duration = Math.round((await this.getWavDuration(wavPath)) * 100) / 100;
+      if (duration < this.minDurationSeconds) {
+        throw audioError(422, 'audio_too_short', "The recording is too short. Please record your answer again.");
+      }
+      if (options.maxDuration && duration > options.maxDuration) {
+        throw this.tooLong(duration, options.maxDuration);
+      }
+
+      const silence = this.summarizeSilence(silences, duration);
+      if (duration - silence.total < this.minSpeechSeconds) {
+        throw audioError(422, 'audio_silent', "No speech was detected in the recording. Check your microphone and try again.");
+      }
+
+      if (!options.keepOriginal) {
+        await fs.promises.rm(filePath, { force: true });
+      }
+
+      return {
+        path: wavPath,
+        fileName: path.basename(wavPath),
+        originalPath: options.keepOriginal ? filePath : null,
+        originalFileName: options.keepOriginal ? path.basename(filePath) : null,
+        duration,
+        format: probe.format,
+        codec: probe.codec,
+        sampleRate: probe.sampleRate,
+        channels: probe.channels,
+        silence
+      };
+    } catch (error) {
+      await fs.promises.rm(filePath, { force: true });
+      await fs.promises.rm(wavPath, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Container, codec and (when the container records it) duration of a file, from ffprobe
+   */
+  async inspect(filePath) {
+    let output;
+    try {
+      output = await this.run(this.ffprobePath, [
+        "-v", "error", "-print_format", "json",
+        "-show_entries", "format=format_name,duration:stream=codec_type,codec_name,sample_rate,channels",
+        filePath
+      ]);
+    } catch (error) {
+      if (error.status) throw error;
+      throw audioError(400, 'audio_invalid', "The recording could not be read. It may be corrupt or not an audio file.");
+    }
+
+    let info;
+    try {
+      info = JSON.parse(output.stdout || "{}");
+    } catch (error) {
+      throw audioError(400, 'audio_invalid', "The recording could not be read. It may be corrupt or not an audio file.");
+    }
+    const stream = (info.streams || []).find(entry => entry.codec_type === 'audio');
+    if (!info.format || !info.format.format_name || !stream || !stream.codec_name) {
+      throw audioError(400, 'audio_invalid', "The upload contains no audio.");
+    }
+
+    const formats = info.format.format_name.split(',');
+    const codec = stream.codec_name;
+    if (!formats.some(format => ALLOWED_FORMATS.includes(format)) ||
+        !(ALLOWED_CODECS.includes(codec) || codec.startsWith('pcm_'))) {
+      throw audioError(415, 'audio_unsupported', `Unsupported recording format (${info.format.format_name}, ${codec}). Use WebM/Opus, Ogg, WAV, MP3 or M4A.`);
+    }
+
+    const duration = parseFloat(info.format.duration);
+    return {
+      format: formats[0],
+      codec,
+      sampleRate: parseInt(stream.sample_rate) || null,
+      channels: stream.channels || null,
+      duration: Number.isFinite(duration) ? duration : null
+    };
+  }
+
+  /**
+   * Length of a PCM WAV file in seconds, from its fmt and data chunks. FFmpeg may write
+   * LIST or other chunks before the data, so the header isn't always 44 bytes.
+   */
+  async getWavDuration(wavPath) {
+    const handle = await fs.promises.open(wavPath, "r");
+    try {
+      const { size } = await handle.stat();
+      const header = Buffer.alloc(12);
+      await handle.read(header, 0, 12, 0);
+      if (header.toString("ascii", 0, 4) !== "RIFF" || header.toString("ascii", 8, 12) !== "WAVE") {
+        throw audioError(400, 'audio_invalid', "The recording could not be converted. It may be corrupt or incomplete.");
+      }
+
+      let byteRate = null;
+      let offset = 12;
+      // Chunk id and length, then (for fmt) format, channels, sample rate and byte rate
+      const chunk = Buffer.alloc(20);
+      while (offset + 8 <= size) {
+        await handle.read(chunk, 0, 20, offset);
+        const id = chunk.toString("ascii", 0, 4);
+        const length = chunk.readUInt32LE(4);
+        if (id === "fmt ") {
+          byteRate = chunk.readUInt32LE(16);
+        } else if (id === "data") {
+          if (!byteRate) break;
+          // A size FFmpeg couldn't fill in (0 or 0xFFFFFFFF) means "to the end of the file"
+          const dataSize = length > 0 && length !== 0xFFFFFFFF ? Math.min(length, size - offset - 8) : size - offset - 8;
+          return dataSize / byteRate;
+        }
+        offset += 8 + length + (length % 2);
+      }
+      throw audioError(400, 'audio_invalid', "The recording contains no audio data.");
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Convert to 16 kHz mono 16-bit WAV, detecting silence in the same pass
+   * @returns {Array} [{ start, end }] silent stretches; end is null when the recording ends silent
+   */
+  async normalize(inputPath, outputPath) {
+    let output;
+    try {
+      output = await this.run(this.ffmpegPath, [
+        "-hide_banner", "-nostats", "-y", "-i", inputPath, "-vn",
+        "-af", `silencedetect=noise=${this.silenceThresholdDb}dB:d=0.5`,
+        "-ac", "1", "-ar", "16000", "-c:a", "pcm_s16le",
+        // No metadata chunks in the WAV; whisper.cpp and friends only need the samples
+        "-map_metadata", "-1", "-fflags", "+bitexact", "-f", "wav", outputPath
+      ]);
+    } catch (error) {
+      if (error.status) throw error;
+      throw audioError(400, 'audio_invalid', "The recording could not be decoded. It may be corrupt or incomplete.");
+    }
+
+    const silences = [];
+    output.stderr.split("\n").forEach(line => {
+      const start = line.match(/silence_start:\s*(-?[\d.]+)/);
+      const end = line.match(/silence_end:\s*([\d.]+)/);
+      if (start) silences.push({ start: Math.max(0, parseFloat(start[1])), end: null });
+      if (end && silences.length > 0) silences[silences.length - 1].end = parseFloat(end[1]);
+    });
+    return silences;
+  }
+
+  summarizeSilence(silences, duration) {
+    const lengths = silences.map(silence => (silence.end ?? duration) - silence.start);
+    const total = Math.min(lengths.reduce((sum, length) => sum + length, 0), duration);
+    return {
+      total: Math.round(total * 100) / 100,
+      ratio: duration > 0 ? Math.round((total / duration) * 100) / 100 : 1,
+      longest: Math.round(Math.max(0, ...lengths) * 100) / 100
+    };
+  }
+
+  tooLong(duration, maxDuration) {
+    return audioError(422, 'audio_too_long', `The recording is ${Math.round(duration)}s long; this question allows at most ${maxDuration}s.`);
+  }
+
+  run(command, args) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(command, args);
+      let stdout = "";
+      let stderr = "";
+      const timer = setTimeout(() => {
+        child.kill();
+        reject(audioError(503, 'audio_timeout', "Checking the recording took too long. Please try again."));
+      }, this.timeoutMs);
+
+      child.stdout.on("data", (data) => { stdout += data.toString(); });
+      child.stderr.on("data", (data) => { stderr += data.toString(); });
+      child.on("error", (error) => {
+        clearTimeout(timer);
+        reject(error.code === 'ENOENT'
+          ? audioError(503, 'ffmpeg_missing', "FFmpeg not found. Please install FFmpeg (with ffprobe) and ensure it's in your PATH.")
+          : error);
+      });
+      child.on("close", (code) => {
+        clearTimeout(timer);
+        if (code === 0) return resolve({ stdout, stderr });
+        reject(new Error(`${path.basename(command)} exited with code ${code}: ${stderr.trim().split("\n").pop() || "no output"}`));
+      });
+    });
+  }
+}
+
+module.exports = new AudioProcessingService();
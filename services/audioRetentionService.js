@@ -0,0 +1,136 @@
+/**
+ * Audio Retention Service - keeps voice recordings for candidates who want to replay them
+ * With the retainAudio preference on, the original upload stays in uploads/audio (only
+ * its WAV conversion for transcription is removed) and the submitted answer points at it. Recordings are removed after
+ * AUDIO_RETENTION_DAYS, when their session is deleted, and with the account.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const InterviewSession = require("../models/interviewSession");
+const Job = require("../models/job");
+const preferencesService = require("./preferencesService");
+
+class AudioRetentionService {
+  constructor() {
+    this.audioDir = path.join(__dirname, "..", "uploads", "audio");
+    this.retentionDays = parseInt(process.env.AUDIO_RETENTION_DAYS) || 30;
+    this.intervalMs = 60 * 60 * 1000;
+    this.timer = null;
+    this.running = false;
+  }
+
+  async shouldRetain(userId) {
+    const preferences = await preferencesService.getPreferences(userId);
+    return preferences.retainAudio;
+  }
+
+  getExpiry(from = new Date()) {
+    return new Date(from.getTime() + this.retentionDays * 24 * 60 * 60 * 1000);
+  }
+
+  // Answers store the file name only; never follow anything else out of uploads/audio
+  resolvePath(fileName) {
+    return path.join(this.audioDir, path.basename(fileName));
+  }
+
+  // Express would serve .webm/.m4a recordings as video
+  getContentType(fileName) {
+    const types = { '.webm': 'audio/webm', '.ogg': 'audio/ogg', '.opus': 'audio/ogg', '.m4a': 'audio/mp4', '.mp3': 'audio/mpeg', '.wav': 'audio/wav' };
+    return types[path.extname(fileName).toLowerCase()] || 'application/octet-stream';
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.purgeExpired().catch(error => console.error("Audio retention error:", error));
+    }, this.intervalMs);
+    this.timer.unref();
+    console.log(`🎧 Audio retention started (recordings kept ${this.retentionDays} days)`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Delete recordings past their retention period and unlink them from their answers.
+   * Also removes recordings nothing refers to any more (a transcript that was never
+   * submitted, a crash between upload and cleanup) once they are as old as the period.
+   * @returns {number} How many files were removed
+   */
+  async purgeExpired() {
+    if (this.running) return 0;
+    this.running = true;
+
+    try {
+      const now = new Date();
+      const sessions = await InterviewSession.find({ 'answers.audioExpiresAt': { $lte: now } }).select('answers');
+      const expired = [];
+      sessions.forEach(session => {
+        session.answers.forEach(answer => {
+          if (answer.audioFilePath && answer.audioExpiresAt <= now) expired.push(answer.audioFilePath);
+        });
+      });
+
+      if (expired.length > 0) {
+        await InterviewSession.updateMany(
+          { 'answers.audioExpiresAt': { $lte: now } },
+          { $unset: { 'answers.$[expired].audioFilePath': "", 'answers.$[expired].audioExpiresAt': "" } },
+          { arrayFilters: [{ 'expired.audioExpiresAt': { $lte: now } }] }
+        );
+      }
+
+      let removed = expired.filter(fileName => this.removeFile(fileName)).length;
+
+      const cutoff = now.getTime() - this.retentionDays * 24 * 60 * 60 * 1000;
+      if (fs.existsSync(this.audioDir)) {
+        for (const fileName of fs.readdirSync(this.audioDir)) {
+          const stats = fs.statSync(this.resolvePath(fileName));
+          if (stats.isFile() && stats.mtimeMs < cutoff && this.removeFile(fileName)) removed++;
+        }
+      }
+
+      if (removed > 0) {
+        console.log(`🎧 Removed ${removed} expired voice recording(s)`);
+      }
+      return removed;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Remove the recordings of the given sessions: those kept with answers and those
+   * still held by their transcription jobs
+   * @returns {number} How many files were removed
+   */
+  async deleteForSessions(sessionIds) {
+    const [sessions, jobs] = await Promise.all([
+      InterviewSession.find({ _id: { $in: sessionIds } }).select('answers.audioFilePath'),
+      Job.find({ sessionId: { $in: sessionIds }, type: 'transcription' }).select('payload.audioFileName payload.recordingFileName result.audioFilePath')
+    ]);
+
+    const fileNames = new Set();
+    sessions.forEach(session => session.answers.forEach(answer => {
+      if (answer.audioFilePath) fileNames.add(answer.audioFilePath);
+    }));
+    jobs.forEach(job => {
+      if (job.payload?.audioFileName) fileNames.add(job.payload.audioFileName);
+      if (job.payload?.recordingFileName) fileNames.add(job.payload.recordingFileName);
+      if (job.result?.audioFilePath) fileNames.add(job.result.audioFilePath);
+    });
+
+    return [...fileNames].filter(fileName => this.removeFile(fileName)).length;
+  }
+
+  removeFile(fileName) {
+    const filePath = this.resolvePath(fileName);
+    if (!fs.existsSync(filePath)) return false;
+    fs.unlinkSync(filePath);
+    return true;
+  }
+}
+
+module.exports = new AudioRetentionService();
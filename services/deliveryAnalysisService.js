@@ -0,0 +1,189 @@
+/**
+ * Delivery Analysis Service - how a voice answer was spoken, from Whisper's word timings
+ * Measures pace, pauses, time spent speaking and filler words, and turns them into a
+ * delivery assessment that is kept apart from content scoring.
+ */
+
+// Single words and phrases counted as fillers (matched on lowercased words without punctuation)
+const FILLERS = [
+  'um', 'umm', 'uh', 'uhh', 'er', 'erm', 'ah', 'hmm',
+  'like', 'basically', 'actually', 'literally',
+  'you know', 'i mean', 'sort of', 'kind of'
+];
+
+class DeliveryAnalysisService {
+  constructor() {
+    this.fillers = FILLERS.map(filler => filler.split(' '));
+    // Gaps between words at least this long count as pauses / long pauses (seconds)
+    this.pauseSeconds = 0.5;
+    this.longPauseSeconds = 2.5;
+    // Comfortable interview pace, words per minute
+    this.slowWpm = 110;
+    this.fastWpm = 170;
+  }
+
+  /**
+   * Compute delivery metrics for a transcription
+   * @param {Object} transcription - { duration, segments: [{ start, end, text, words: [{ word, start, end }] }] }
+   * @returns {Object|null} Metrics, or null when there is nothing timed to analyse
+   */
+  analyze(transcription) {
+    const words = this.getTimedWords(transcription.segments || []);
+    if (words.length === 0) return null;
+
+    const firstStart = words[0].start;
+    const lastEnd = words[words.length - 1].end;
+    const speechSpan = Math.max(lastEnd - firstStart, 0.1);
+    const duration = Math.max(transcription.duration || 0, lastEnd);
+
+    const pauses = [];
+    for (let i = 1; i < words.length; i++) {
+      const gap = words[i].start - words[i - 1].end;
+      if (gap >= this.pauseSeconds) {
+        pauses.push({ start: words[i - 1].end, end: words[i].start, duration: this.round(gap) });
+      }
+    }
+    const longPauses = pauses.filter(pause => pause.duration >= this.longPauseSeconds);
+    const pausedTime = pauses.reduce((sum, pause) => sum + pause.duration, 0);
+    const speakingTime = Math.max(speechSpan - pausedTime, 0);
+
+    const fillerCounts = this.countFillers(words.map(word => this.normalize(word.word)));
+    const fillerCount = Object.values(fillerCounts).reduce((sum, count) => sum + count, 0);
+
+    return {
+      wordCount: words.length,
+      duration: this.round(duration),
+      speakingTime: this.round(speakingTime),
+      speakingRatio: this.round(duration > 0 ? speakingTime / duration : 0),
+      startDelay: this.round(firstStart), // silence before the first word
+      wordsPerMinute: Math.round(words.length / (speechSpan / 60)),
+      pauseCount: pauses.length,
+      longPauseCount: longPauses.length,
+      longestPause: this.round(Math.max(0, ...pauses.map(pause => pause.duration))),
+      longPauses: longPauses.slice(0, 10).map(pause => ({
+        start: this.round(pause.start),
+        end: this.round(pause.end),
+        duration: pause.duration
+      })),
+      fillerCount,
+      fillersPerMinute: this.round(fillerCount / (speechSpan / 60)),
+      fillerWords: Object.entries(fillerCounts)
+        .sort((a, b) => b[1] - a[1])
+        .map(([word, count]) => ({ word, count }))
+    };
+  }
+
+  /**
+   * Delivery section of the feedback: its own score, kept out of the content scores
+   * @param {Object} metrics - from analyze()
+   * @returns {Object} { score, pace, feedback, suggestions }
+   */
+  assess(metrics) {
+    let score = 10;
+    const suggestions = [];
+    const notes = [];
+
+    let pace = 'good';
+    if (metrics.wordsPerMinute < this.slowWpm) {
+      pace = 'slow';
+      score -= metrics.wordsPerMinute < this.slowWpm - 30 ? 2 : 1;
+      suggestions.push("Pick up the pace a little; aim for roughly 120-160 words per minute.");
+    } else if (metrics.wordsPerMinute > this.fastWpm) {
+      pace = 'fast';
+      score -= metrics.wordsPerMinute > this.fastWpm + 30 ? 2 : 1;
+      suggestions.push("Slow down so the interviewer can follow; pausing between points helps.");
+    }
+    notes.push(`You spoke at about ${metrics.wordsPerMinute} words per minute (${pace === 'good' ? 'a comfortable pace' : `a bit ${pace}`}).`);
+
+    if (metrics.fillersPerMinute > 6) {
+      score -= 3;
+      suggestions.push("Cut down on filler words; a short silent pause works better than \"um\" or \"like\".");
+    } else if (metrics.fillersPerMinute > 3) {
+      score -= 1;
+      suggestions.push("Watch your filler words; they distract from what you're saying.");
+    }
+    if (metrics.fillerCount > 0) {
+      const top = metrics.fillerWords.slice(0, 3).map(filler => `"${filler.word}" (${filler.count})`).join(', ');
+      notes.push(`Filler words: ${top}.`);
+    }
+
+    if (metrics.longPauseCount > 2) {
+      score -= 2;
+      suggestions.push("Several long pauses: outline your answer (for example with STAR) before you start speaking.");
+    } else if (metrics.longPauseCount > 0) {
+      score -= 1;
+      notes.push(`${metrics.longPauseCount} long pause(s), the longest ${metrics.longestPause}s.`);
+    }
+
+    if (metrics.speakingRatio < 0.6) {
+      score -= 1;
+      suggestions.push("Much of the recording was silence; start speaking sooner and keep your answer flowing.");
+    }
+
+    return {
+      score: Math.max(1, Math.min(10, score)),
+      pace,
+      feedback: notes.join(' '),
+      suggestions
+    };
+  }
+
+  /**
+   * Averages across a session's voice answers, or null when there are none
+   */
+  summarize(answers) {
+    const measured = answers.filter(answer => answer.delivery && answer.delivery.wordsPerMinute != null);
+    if (measured.length === 0) return null;
+
+    const average = (field) => this.round(measured.reduce((sum, answer) => sum + (answer.delivery[field] || 0), 0) / measured.length);
+    return {
+      voiceAnswers: measured.length,
+      averageWordsPerMinute: Math.round(average('wordsPerMinute')),
+      averageFillersPerMinute: average('fillersPerMinute'),
+      averageSpeakingRatio: average('speakingRatio'),
+      totalLongPauses: measured.reduce((sum, answer) => sum + (answer.delivery.longPauseCount || 0), 0)
+    };
+  }
+
+  // Word timings, or evenly spread segment text when a segment has no word timings
+  getTimedWords(segments) {
+    const words = [];
+    segments.forEach(segment => {
+      if (segment.words && segment.words.length > 0) {
+        segment.words.forEach(word => {
+          if (word.word && word.word.trim()) words.push(word);
+        });
+        return;
+      }
+      const tokens = (segment.text || '').split(/\s+/).filter(Boolean);
+      const step = (segment.end - segment.start) / Math.max(tokens.length, 1);
+      tokens.forEach((token, i) => {
+        words.push({ word: token, start: segment.start + i * step, end: segment.start + (i + 1) * step });
+      });
+    });
+    return words.sort((a, b) => a.start - b.start);
+  }
+
+  countFillers(tokens) {
+    const counts = {};
+    for (let i = 0; i < tokens.length; i++) {
+      const match = this.fillers.find(filler => filler.every((part, offset) => tokens[i + offset] === part));
+      if (match) {
+        const phrase = match.join(' ');
+        counts[phrase] = (counts[phrase] || 0) + 1;
+        i += match.length - 1;
+      }
+    }
+    return counts;
+  }
+
+  normalize(word) {
+    return word.toLowerCase().replace(/[^a-z']/g, '');
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = new DeliveryAnalysisService();
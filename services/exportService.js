@@ -0,0 +1,322 @@
+/**
+ * Export Service - builds a downloadable ZIP with everything stored about a user
+ * Exports run in the background: request, poll the status, then download.
+ * The archive holds machine-readable JSON plus a Markdown rendering of the same data.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const archiver = require("archiver");
+const DataExport = require("../models/dataExport");
+const User = require("../models/user");
+const InterviewSession = require("../models/interviewSession");
+const Resume = require("../models/resume");
+const preferencesService = require("./preferencesService");
+
+class ExportService {
+  constructor() {
+    this.exportDir = process.env.EXPORT_DIR || path.join(__dirname, "..", "uploads", "exports");
+    this.retentionHours = parseInt(process.env.EXPORT_RETENTION_HOURS) || 72;
+    // Exports stuck in "pending" or "processing" longer than this were interrupted (e.g. by a restart)
+    this.staleAfterMinutes = 30;
+  }
+
+  /**
+   * Queue an export for a user; returns the running one if there already is one
+   */
+  async requestExport(userId) {
+    await this.purgeExpired();
+
+    const running = await DataExport.findOne({
+      userId,
+      status: { $in: ["pending", "processing"] }
+    });
+    if (running) {
+      // Still pending: the process that should have built it may have stopped first.
+      // Claiming is atomic, so scheduling it again never builds it twice.
+      if (running.status === "pending") this.scheduleExport(running._id);
+      return running;
+    }
+
+    const exportDoc = await DataExport.create({ userId });
+    this.scheduleExport(exportDoc._id);
+
+    return exportDoc;
+  }
+
+  scheduleExport(exportId) {
+    setImmediate(() => {
+      this.processExport(exportId).catch(error => {
+        console.error("Export processing error:", error);
+      });
+    });
+  }
+
+  async getExport(exportId, userId) {
+    return DataExport.findOne({ _id: exportId, userId });
+  }
+
+  /**
+   * Build the archive for an export request
+   */
+  async processExport(exportId) {
+    const exportDoc = await DataExport.findOneAndUpdate(
+      { _id: exportId, status: "pending" },
+      { $set: { status: "processing", startedAt: new Date() } },
+      { new: true }
+    );
+    if (!exportDoc) return;
+
+    let filePath = null;
+    try {
+      const user = await User.findById(exportDoc.userId);
+      if (!user) throw new Error("User not found");
+
+      const [sessions, resumes, preferences] = await Promise.all([
+        InterviewSession.find({ userId: user._id }).sort({ createdAt: 1 }),
+        Resume.find({ userId: user._id }).sort({ createdAt: 1 }),
+        preferencesService.getPreferences(user._id)
+      ]);
+
+      if (!fs.existsSync(this.exportDir)) {
+        fs.mkdirSync(this.exportDir, { recursive: true });
+      }
+      filePath = path.join(this.exportDir, `export-${user._id}-${exportDoc._id}.zip`);
+
+      await this.writeArchive(filePath, user, sessions, resumes, preferences);
+
+      exportDoc.status = "ready";
+      exportDoc.filePath = filePath;
+      exportDoc.fileSize = fs.statSync(filePath).size;
+      exportDoc.completedAt = new Date();
+      exportDoc.expiresAt = new Date(Date.now() + this.retentionHours * 60 * 60 * 1000);
+      await exportDoc.save();
+
+      console.log(`📦 Data export ${exportDoc._id} ready (${exportDoc.fileSize} bytes)`);
+    } catch (error) {
+      console.error(`❌ Data export ${exportDoc._id} failed:`, error);
+      try {
+        this.removeFile(filePath);
+      } catch (cleanupError) {
+        console.error(`Failed to remove partial export ${filePath}:`, cleanupError.message);
+      }
+      exportDoc.status = "failed";
+      exportDoc.error = error.message;
+      exportDoc.completedAt = new Date();
+      await exportDoc.save();
+    }
+  }
+
+  writeArchive(filePath, user, sessions, resumes, preferences) {
+    return new Promise((resolve, reject) => {
+      const output = fs.createWriteStream(filePath);
+      const archive = archiver("zip", { zlib: { level: 9 } });
+
+      output.on("close", resolve);
+      // Full disk, permissions, a removed directory: fail the export instead of the process
+      output.on("error", (error) => {
+        archive.abort();
+        reject(error);
+      });
+      archive.on("error", reject);
+      archive.on("warning", (warning) => console.warn("Export archive warning:", warning.message));
+      archive.pipe(output);
+
+      const profile = this.serializeProfile(user, preferences);
+      archive.append(JSON.stringify(profile, null, 2), { name: "profile.json" });
+      archive.append(this.renderProfileMarkdown(profile), { name: "profile.md" });
+
+      const sessionData = sessions.map(session => this.serializeSession(session));
+      archive.append(JSON.stringify(sessionData, null, 2), { name: "interview-sessions.json" });
+      sessions.forEach(session => {
+        archive.append(this.renderSessionMarkdown(session), { name: `interview-sessions/${session._id}.md` });
+      });
+
+      const resumeData = resumes.map(resume => this.serializeResume(resume));
+      archive.append(JSON.stringify(resumeData, null, 2), { name: "resumes.json" });
+      resumes.forEach(resume => {
+        const folder = `resumes/${resume._id}`;
+        archive.append(resume.extractedText || "", { name: `${folder}/extracted-text.txt` });
+        if (resume.filePath && fs.existsSync(resume.filePath)) {
+          archive.file(resume.filePath, { name: `${folder}/${path.basename(resume.originalName)}` });
+        }
+      });
+
+      archive.append(this.renderReadme(profile, sessionData, resumeData), { name: "README.md" });
+      archive.finalize();
+    });
+  }
+
+  serializeProfile(user, preferences) {
+    return {
+      ...user.toSafeObject(),
+      interviewPreferences: preferences,
+      exportedAt: new Date()
+    };
+  }
+
+  serializeSession(session) {
+    return {
+      id: String(session._id),
+      role: session.role,
+      status: session.status,
+      settings: session.settings,
+      questions: session.questions,
+      answers: session.answers,
+      feedback: session.feedback,
+      performance: session.performance,
+      difficultyPath: session.difficultyPath,
+      startedAt: session.startedAt,
+      completedAt: session.completedAt,
+      pausedDuration: session.pausedDuration,
+      abandonedAt: session.abandonedAt,
+      abandonReason: session.abandonReason,
+      createdAt: session.createdAt
+    };
+  }
+
+  serializeResume(resume) {
+    return {
+      id: String(resume._id),
+      originalName: resume.originalName,
+      mimeType: resume.mimeType,
+      fileSize: resume.fileSize,
+      skills: resume.skills,
+      experience: resume.experience,
+      education: resume.education,
+      jobTitles: resume.jobTitles,
+      isActive: resume.isActive,
+      uploadedAt: resume.createdAt
+    };
+  }
+
+  renderReadme(profile, sessions, resumes) {
+    return [
+      "# InterviewIQ data export",
+      "",
+      `Exported for ${profile.name} <${profile.email}> on ${profile.exportedAt.toISOString()}.`,
+      "",
+      "## Contents",
+      "",
+      "- `profile.json` / `profile.md` - your account details and interview preferences",
+      `- \`interview-sessions.json\` - all ${sessions.length} interview sessions with questions, answers, feedback and performance`,
+      "- `interview-sessions/<id>.md` - one readable report per session",
+      `- \`resumes.json\` - metadata and parsed content of ${resumes.length} resumes`,
+      "- `resumes/<id>/` - the original uploaded file and its extracted text",
+      ""
+    ].join("\n");
+  }
+
+  renderProfileMarkdown(profile) {
+    return [
+      "# Profile",
+      "",
+      `- **Name:** ${profile.name}`,
+      `- **Email:** ${profile.email}${profile.emailVerified ? " (verified)" : " (not verified)"}`,
+      `- **Role:** ${profile.role}`,
+      `- **Two-factor authentication:** ${profile.twoFactorEnabled ? "enabled" : "disabled"}`,
+      `- **Member since:** ${profile.createdAt ? new Date(profile.createdAt).toISOString() : "unknown"}`,
+      "",
+      "## Interview preferences",
+      "",
+      ...Object.entries(profile.interviewPreferences || {}).map(([key, value]) => `- **${key}:** ${value === "" ? "-" : value}`),
+      ""
+    ].join("\n");
+  }
+
+  renderSessionMarkdown(session) {
+    const lines = [
+      `# ${session.role} interview`,
+      "",
+      `- **Status:** ${session.status}`,
+      `- **Started:** ${session.startedAt ? new Date(session.startedAt).toISOString() : "-"}`,
+      `- **Completed:** ${session.completedAt ? new Date(session.completedAt).toISOString() : "-"}`,
+      ...(session.abandonedAt ? [`- **Abandoned:** ${new Date(session.abandonedAt).toISOString()}`] : []),
+      `- **Overall score:** ${session.performance?.overallScore ?? 0}/10`,
+      `- **Completion rate:** ${session.performance?.completionRate ?? 0}%`,
+      ...(session.difficultyPath?.length ? [`- **Difficulty path:** ${session.difficultyPath.map(step => step.difficulty).join(" → ")}`] : []),
+      ""
+    ];
+
+    session.questions.forEach((question, index) => {
+      const followUpLabel = question.isFollowUp ? ` (follow-up to question ${question.parentIndex + 1})` : "";
+      lines.push(`## Question ${index + 1}${followUpLabel}`, "", question.text, "");
+
+      const attempts = session.getAttempts(index);
+      if (attempts.length === 0) {
+        lines.push(session.getQuestionStatus(index) === "skipped" ? "_Skipped._" : "_Not answered._", "");
+        return;
+      }
+
+      attempts.forEach(answer => {
+        const attemptLabel = attempts.length > 1 ? ` - attempt ${answer.attempt || 1}` : "";
+        lines.push(`**Answer${answer.isVoiceAnswer ? " (voice)" : ""}${attemptLabel}:**`, "", answer.answer || "", "");
+        if (answer.serverResponseTime != null) {
+          lines.push(`_Answered in ${answer.serverResponseTime}s${answer.overTime ? ` (${answer.overTimeBy}s over the time limit)` : ""}._`, "");
+        }
+
+        session.feedback
+          .filter(fb => fb.questionIndex === index && (fb.attempt || 1) === (answer.attempt || 1))
+          .forEach(fb => {
+            lines.push(`**Feedback (score ${fb.overallScore}/10):** ${fb.feedback || ""}`, "");
+            if (fb.scores) {
+              lines.push(`Content ${fb.scores.content} · Clarity ${fb.scores.clarity} · Confidence ${fb.scores.confidence} · Professionalism ${fb.scores.professionalism}`, "");
+            }
+            (fb.suggestions || []).forEach(suggestion => lines.push(`- ${suggestion}`));
+            lines.push("");
+            if (fb.delivery?.score) {
+              lines.push(`**Delivery (score ${fb.delivery.score}/10, ${fb.delivery.pace} pace):** ${fb.delivery.feedback || ""}`, "");
+              (fb.delivery.suggestions || []).forEach(suggestion => lines.push(`- ${suggestion}`));
+              lines.push("");
+            }
+          });
+      });
+    });
+
+    return lines.join("\n");
+  }
+
+  /**
+   * Delete archives past their retention period
+   */
+  async purgeExpired() {
+    const expired = await DataExport.find({
+      $or: [
+        { status: "ready", expiresAt: { $lte: new Date() } },
+        { status: "processing", startedAt: { $lte: new Date(Date.now() - this.staleAfterMinutes * 60 * 1000) } },
+        // Never picked up, e.g. the server stopped before building it
+        { status: "pending", createdAt: { $lte: new Date(Date.now() - this.staleAfterMinutes * 60 * 1000) } }
+      ]
+    });
+
+    for (const exportDoc of expired) {
+      this.removeFile(exportDoc.filePath);
+      if (exportDoc.status !== "ready") {
+        exportDoc.status = "failed";
+        exportDoc.error = "Export was interrupted. Please request a new one.";
+        exportDoc.completedAt = new Date();
+        await exportDoc.save();
+      } else {
+        await DataExport.deleteOne({ _id: exportDoc._id });
+      }
+    }
+  }
+
+  /**
+   * Remove every export of a user (account deletion)
+   */
+  async deleteExportsForUser(userId) {
+    const exports = await DataExport.find({ userId });
+    exports.forEach(exportDoc => this.removeFile(exportDoc.filePath));
+    const result = await DataExport.deleteMany({ userId });
+    return result.deletedCount;
+  }
+
+  removeFile(filePath) {
+    if (filePath && fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  }
+}
+
+module.exports = new ExportService();
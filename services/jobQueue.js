@@ -0,0 +1,297 @@
+/**
+ * Job Queue - MongoDB-backed queue for slow work (feedback, transcription)
+ * A worker claims a job with a visibility timeout; failures are retried with exponential
+ * backoff, and a job whose worker died is picked up again once its lock runs out.
+ * Workers run inside the web process (JOB_WORKER_MODE=embedded, the default) or in
+ * separate `node worker.js` processes (external).
+ *
+ * Emits 'finished' (job) when a job completes or fails for good, and 'progress'
+ * (job, data) while it runs, in the process that should publish session events.
+ */
+
+const os = require("os");
+const { EventEmitter } = require("events");
+const Job = require("../models/job");
+
+class JobQueue extends EventEmitter {
+  constructor() {
+    super();
+    this.mode = (process.env.JOB_WORKER_MODE || 'embedded').toLowerCase() === 'external' ? 'external' : 'embedded';
+    this.concurrency = parseInt(process.env.JOB_CONCURRENCY) || 1;
+    this.visibilityTimeoutMs = (parseInt(process.env.JOB_VISIBILITY_TIMEOUT_SECONDS) || 120) * 1000;
+    // A handler running longer than this is abandoned and the job retried; kept below the
+    // visibility timeout so no other worker claims a job that is still running here
+    this.handlerTimeoutMs = Math.min(
+      (parseInt(process.env.JOB_TIMEOUT_SECONDS) || 100) * 1000,
+      this.visibilityTimeoutMs - 5000
+    );
+    // Running jobs extend their lock this often, whether or not the handler reports progress
+    this.heartbeatIntervalMs = Math.floor(this.visibilityTimeoutMs / 3);
+    this.maxAttempts = parseInt(process.env.JOB_MAX_ATTEMPTS) || 3;
+    this.retryBaseMs = (parseInt(process.env.JOB_RETRY_BASE_SECONDS) || 5) * 1000;
+    this.retryMaxMs = 5 * 60 * 1000;
+    this.pollIntervalMs = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 1000;
+    this.notifyIntervalMs = 2000;
+
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.handlers = new Map(); // type -> { handler, onFailed, slots }
+    this.running = false;
+    this.deliverEvents = true;
+    this.loops = [];
+    this.notifyTimer = null;
+    this.notifying = false;
+  }
+
+  /**
+   * Register how jobs of a type run.
+   * handler(job, context) returns the job's result; context.progress(data) reports
+   * progress and extends the lock. Errors with `retryable === false` fail the job at once.
+   * options.onFailed(job, error) runs when a job has failed for good.
+   * options.slots adds worker slots that only run this type, so it never waits behind
+   * slower job types in the shared slots.
+   */
+  register(type, handler, options = {}) {
+    this.handlers.set(type, { handler, onFailed: options.onFailed, slots: options.slots || 0 });
+  }
+
+  async enqueue(type, payload, options = {}) {
+    return Job.create({
+      _id: options.jobId,
+      type,
+      payload,
+      userId: options.userId,
+      sessionId: options.sessionId,
+      maxAttempts: options.maxAttempts || this.maxAttempts
+    });
+  }
+
+  async getJob(jobId, userId) {
+    return Job.findOne({ _id: jobId, userId });
+  }
+
+  /**
+   * Start processing jobs in this process.
+   * options.deliverEvents: emit 'finished'/'progress' here (false in worker.js,
+   * where the web process picks finished jobs up through the notifier instead)
+   */
+  start(options = {}) {
+    if (this.running) return;
+    this.running = true;
+    this.deliverEvents = options.deliverEvents !== false;
+
+    const types = [...this.handlers.keys()];
+    for (let slot = 0; slot < this.concurrency; slot++) {
+      this.loops.push(this.loop(types));
+    }
+    const dedicated = [];
+    for (const [type, registration] of this.handlers) {
+      for (let slot = 0; slot < registration.slots; slot++) {
+        this.loops.push(this.loop([type]));
+      }
+      if (registration.slots > 0) dedicated.push(`${registration.slots} for ${type}`);
+    }
+    console.log(`⚙️ Job worker ${this.workerId} started (${this.concurrency} shared slot(s): ${types.join(', ')}${dedicated.length ? `; ${dedicated.join(', ')}` : ''})`);
+  }
+
+  /**
+   * Stop claiming new jobs and wait for the running ones to finish
+   */
+  async stop() {
+    this.running = false;
+    await Promise.all(this.loops);
+    this.loops = [];
+    clearInterval(this.notifyTimer);
+    this.notifyTimer = null;
+  }
+
+  async loop(types) {
+    while (this.running) {
+      let worked = false;
+      try {
+        worked = await this.runNext(types);
+      } catch (error) {
+        console.error("Job worker error:", error);
+      }
+      if (!worked && this.running) {
+        await new Promise(resolve => setTimeout(resolve, this.pollIntervalMs));
+      }
+    }
+  }
+
+  /**
+   * Claim the next due job: a queued one whose backoff has passed, or a
+   * processing one whose worker let the lock run out
+   */
+  async claim(types) {
+    const now = new Date();
+    return Job.findOneAndUpdate(
+      {
+        type: { $in: types },
+        $or: [
+          { status: 'queued', runAt: { $lte: now } },
+          { status: 'processing', lockedUntil: { $lt: now } }
+        ]
+      },
+      {
+        $set: {
+          status: 'processing',
+          lockedBy: this.workerId,
+          lockedUntil: new Date(now.getTime() + this.visibilityTimeoutMs),
+          startedAt: now
+        },
+        $inc: { attempts: 1 }
+      },
+      { new: true, sort: { runAt: 1 } }
+    );
+  }
+
+  // Updates only apply while this claim still holds the job; `attempts` changes
+  // with every claim, so a worker whose lock expired can't overwrite the retry
+  claimFilter(job) {
+    return { _id: job._id, status: 'processing', attempts: job.attempts };
+  }
+
+  /**
+   * Claim and run one job of the given types
+   * @returns {boolean} Whether there was a job to run
+   */
+  async runNext(types = [...this.handlers.keys()]) {
+    const job = await this.claim(types);
+    if (!job) return false;
+
+    const registration = this.handlers.get(job.type);
+
+    // Claimed again after every attempt ran out: the job keeps taking its worker down
+    if (job.attempts > job.maxAttempts) {
+      await this.fail(job, registration, new Error("Job did not finish after the maximum number of attempts"));
+      return true;
+    }
+
+    const context = {
+      progress: (data) => this.reportProgress(job, data)
+    };
+
+    // The lock is extended while the handler runs; a handler that hangs is given up on after
+    // handlerTimeoutMs so it can't hold the slot forever (its own calls should time out too)
+    let result;
+    const heartbeat = setInterval(() => {
+      this.extendLock(job).catch(error => console.error(`Job ${job._id} heartbeat error:`, error.message));
+    }, this.heartbeatIntervalMs);
+    let timeout;
+    try {
+      result = await Promise.race([
+        registration.handler(job, context),
+        new Promise((resolve, reject) => {
+          timeout = setTimeout(() => reject(new Error(`Job timed out after ${Math.round(this.handlerTimeoutMs / 1000)}s`)), this.handlerTimeoutMs);
+        })
+      ]);
+    } catch (error) {
+      console.error(`❌ Job ${job._id} (${job.type}) attempt ${job.attempts}/${job.maxAttempts} failed:`, error.message);
+      if (error.retryable !== false && job.attempts < job.maxAttempts) {
+        await this.retry(job, error);
+      } else {
+        await this.fail(job, registration, error);
+      }
+      return true;
+    } finally {
+      clearInterval(heartbeat);
+      clearTimeout(timeout);
+    }
+
+    await this.complete(job, result);
+    return true;
+  }
+
+  async extendLock(job) {
+    await Job.updateOne(this.claimFilter(job), {
+      $set: { lockedUntil: new Date(Date.now() + this.visibilityTimeoutMs) }
+    });
+  }
+
+  async reportProgress(job, data) {
+    await Job.updateOne(this.claimFilter(job), {
+      $set: { progress: data, lockedUntil: new Date(Date.now() + this.visibilityTimeoutMs) }
+    });
+    if (this.deliverEvents) this.emit('progress', job, data);
+  }
+
+  async complete(job, result) {
+    const finished = await Job.findOneAndUpdate(
+      this.claimFilter(job),
+      { $set: this.finishedFields({ status: 'completed', result }) },
+      { new: true }
+    );
+    if (!finished) {
+      console.log(`⚠️ Job ${job._id} lost its lock before completing; result dropped`);
+      return;
+    }
+    console.log(`✅ Job ${job._id} (${job.type}) completed`);
+    if (this.deliverEvents) this.emit('finished', finished);
+  }
+
+  async retry(job, error) {
+    const delay = Math.min(this.retryBaseMs * 2 ** (job.attempts - 1), this.retryMaxMs);
+    await Job.updateOne(this.claimFilter(job), {
+      $set: { status: 'queued', error: error.message, errorCode: error.code, runAt: new Date(Date.now() + delay), lockedUntil: null }
+    });
+  }
+
+  async fail(job, registration, error) {
+    const finished = await Job.findOneAndUpdate(
+      this.claimFilter(job),
+      { $set: this.finishedFields({ status: 'failed', error: error.message, errorCode: error.code }) },
+      { new: true }
+    );
+    if (!finished) return;
+
+    if (registration?.onFailed) {
+      try {
+        await registration.onFailed(finished, error);
+      } catch (cleanupError) {
+        console.error(`Job ${job._id} failure handler error:`, cleanupError);
+      }
+    }
+    if (this.deliverEvents) this.emit('finished', finished);
+  }
+
+  finishedFields(fields) {
+    const now = new Date();
+    return {
+      ...fields,
+      lockedUntil: null,
+      finishedAt: now,
+      // Delivered right here; otherwise the web process's notifier delivers it
+      notifiedAt: this.deliverEvents ? now : null
+    };
+  }
+
+  /**
+   * Web process: emit 'finished' for jobs that external workers finished
+   */
+  startNotifier() {
+    if (this.notifyTimer) return;
+    this.notifyTimer = setInterval(() => {
+      this.deliverFinished().catch(error => console.error("Job notifier error:", error));
+    }, this.notifyIntervalMs);
+    this.notifyTimer.unref();
+  }
+
+  async deliverFinished() {
+    if (this.notifying) return;
+    this.notifying = true;
+    try {
+      let job;
+      while ((job = await Job.findOneAndUpdate(
+        { status: { $in: ['completed', 'failed'] }, notifiedAt: null },
+        { $set: { notifiedAt: new Date() } },
+        { new: true, sort: { finishedAt: 1 } }
+      ))) {
+        this.emit('finished', job);
+      }
+    } finally {
+      this.notifying = false;
+    }
+  }
+}
+
+module.exports = new JobQueue();
@@ -0,0 +1,194 @@
+/**
+ * Login Security Service - brute-force protection for /api/auth/login
+ * Throttles repeated failures per email and per IP with exponential backoff,
+ * locks accounts after too many bad passwords and keeps a sign-in history.
+ */
+
+const EventEmitter = require("events");
+const LoginAttempt = require("../models/loginAttempt");
+const User = require("../models/user");
+const mailService = require("./mailService");
+
+// Reasons that count as a failed guess
+const FAILURE_REASONS = ["invalid_password", "invalid_2fa", "unknown_user"];
+// Reasons that count towards locking the account
+const LOCKOUT_REASONS = ["invalid_password", "invalid_2fa"];
+
+class LoginSecurityService extends EventEmitter {
+  constructor() {
+    super();
+    this.maxFailedAttempts = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5;
+    this.lockoutMinutes = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+    this.windowMinutes = parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15;
+    this.backoffBaseSeconds = parseInt(process.env.LOGIN_BACKOFF_BASE_SECONDS) || 1;
+    this.backoffMaxSeconds = parseInt(process.env.LOGIN_BACKOFF_MAX_SECONDS) || 300;
+    // Failures allowed before backoff kicks in
+    this.freeAttemptsPerEmail = 3;
+    this.freeAttemptsPerIp = 10;
+
+    // Default lockout hook: tell the account owner
+    this.onLockout(async ({ user, lockUntil }) => {
+      await mailService.sendAccountLockedEmail(user, lockUntil);
+    });
+  }
+
+  /**
+   * Register a handler called with { user, lockUntil, context } when an account gets locked
+   */
+  onLockout(handler) {
+    this.on("lockout", (event) => {
+      Promise.resolve(handler(event)).catch(error => {
+        console.error("Lockout notification failed:", error);
+      });
+    });
+  }
+
+  normalizeEmail(email) {
+    return String(email || "").trim().toLowerCase();
+  }
+
+  /**
+   * Seconds to wait after the given number of consecutive failures
+   */
+  getBackoffSeconds(failures, freeAttempts) {
+    if (failures < freeAttempts) return 0;
+    const exponent = failures - freeAttempts;
+    return Math.min(this.backoffBaseSeconds * Math.pow(2, exponent), this.backoffMaxSeconds);
+  }
+
+  /**
+   * Failures in the attempt window matching a filter.
+   * resetOnSuccess: failures before the last successful sign-in no longer count. Only for
+   * the per-email check; per IP, signing in to one's own account must not clear the
+   * backoff earned guessing other accounts' passwords.
+   */
+  async getRecentFailures(filter, options = {}) {
+    const windowStart = new Date(Date.now() - this.windowMinutes * 60 * 1000);
+
+    let since = windowStart;
+    if (options.resetOnSuccess) {
+      const lastSuccess = await LoginAttempt.findOne({ ...filter, success: true })
+        .sort({ createdAt: -1 })
+        .select("createdAt");
+      if (lastSuccess && lastSuccess.createdAt > windowStart) since = lastSuccess.createdAt;
+    }
+
+    const failures = await LoginAttempt.find({
+      ...filter,
+      reason: { $in: FAILURE_REASONS },
+      createdAt: { $gt: since }
+    })
+      .sort({ createdAt: -1 })
+      .select("createdAt");
+
+    return {
+      count: failures.length,
+      lastFailureAt: failures.length > 0 ? failures[0].createdAt : null
+    };
+  }
+
+  /**
+   * Check whether another attempt for this email / IP is allowed yet
+   * @returns {Object} { allowed, retryAfterSeconds }
+   */
+  async checkThrottle(email, ipAddress) {
+    const checks = [
+      { filter: { email: this.normalizeEmail(email) }, freeAttempts: this.freeAttemptsPerEmail, resetOnSuccess: true }
+    ];
+    if (ipAddress) {
+      checks.push({ filter: { ipAddress }, freeAttempts: this.freeAttemptsPerIp, resetOnSuccess: false });
+    }
+
+    let retryAfterSeconds = 0;
+    for (const { filter, freeAttempts, resetOnSuccess } of checks) {
+      const { count, lastFailureAt } = await this.getRecentFailures(filter, { resetOnSuccess });
+      if (!lastFailureAt) continue;
+
+      const waitSeconds = this.getBackoffSeconds(count, freeAttempts);
+      const remaining = Math.ceil((lastFailureAt.getTime() + waitSeconds * 1000 - Date.now()) / 1000);
+      retryAfterSeconds = Math.max(retryAfterSeconds, remaining);
+    }
+
+    return { allowed: retryAfterSeconds <= 0, retryAfterSeconds: Math.max(retryAfterSeconds, 0) };
+  }
+
+  isLocked(user) {
+    return !!(user && user.lockUntil && user.lockUntil > new Date());
+  }
+
+  async recordAttempt(email, user, context, success, reason) {
+    try {
+      await LoginAttempt.create({
+        email: this.normalizeEmail(email),
+        userId: user ? user._id : undefined,
+        ipAddress: context.ipAddress || "",
+        userAgent: context.userAgent || "",
+        success,
+        reason
+      });
+    } catch (error) {
+      // Never fail a login because the audit write failed
+      console.error("Failed to record login attempt:", error);
+    }
+  }
+
+  /**
+   * Record a rejected attempt and lock the account when the limit is reached
+   * @returns {Date|null} lockUntil when this failure locked the account
+   */
+  async recordFailure(email, user, context = {}, reason = "invalid_password") {
+    await this.recordAttempt(email, user, context, false, reason);
+
+    if (!user || !LOCKOUT_REASONS.includes(reason)) return null;
+
+    const updated = await User.findByIdAndUpdate(
+      user._id,
+      { $inc: { failedLoginAttempts: 1 } },
+      { new: true }
+    );
+
+    if (updated && updated.failedLoginAttempts >= this.maxFailedAttempts) {
+      const lockUntil = new Date(Date.now() + this.lockoutMinutes * 60 * 1000);
+      await User.updateOne(
+        { _id: user._id },
+        { $set: { lockUntil, failedLoginAttempts: 0 } }
+      );
+      console.warn(`🔒 Account ${updated.email} locked until ${lockUntil.toISOString()}`);
+      this.emit("lockout", { user: updated, lockUntil, context });
+      return lockUntil;
+    }
+
+    return null;
+  }
+
+  async recordSuccess(email, user, context = {}) {
+    await this.recordAttempt(email, user, context, true, "success");
+
+    if (user.failedLoginAttempts || user.lockUntil) {
+      await User.updateOne(
+        { _id: user._id },
+        { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1 } }
+      );
+    }
+  }
+
+  /**
+   * Clear lockout state (password reset or admin action)
+   */
+  async unlock(userId) {
+    const result = await User.updateOne(
+      { _id: userId },
+      { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1 } }
+    );
+    return result.matchedCount > 0;
+  }
+
+  async getRecentActivity(userId, limit = 10) {
+    return LoginAttempt.find({ userId })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .select("success reason ipAddress userAgent createdAt");
+  }
+}
+
+module.exports = new LoginSecurityService();
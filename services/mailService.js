@@ -0,0 +1,89 @@
+/**
+ * Mail Service - composes account emails and hands them to the configured transport
+ * MAIL_TRANSPORT selects smtp, file or console (default console)
+ */
+
+const path = require("path");
+const { SmtpTransport, FileTransport, ConsoleTransport } = require("./mailTransports");
+
+class MailService {
+  constructor() {
+    this.appUrl = process.env.APP_URL || "http://localhost:3000";
+    this.transport = this.createTransport(process.env.MAIL_TRANSPORT || "console");
+  }
+
+  createTransport(type) {
+    const from = process.env.MAIL_FROM || "InterviewIQ <no-reply@interviewiq.local>";
+
+    switch (type) {
+      case "smtp":
+        return new SmtpTransport({
+          host: process.env.SMTP_HOST,
+          port: parseInt(process.env.SMTP_PORT) || 587,
+          secure: process.env.SMTP_SECURE === "true",
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASS,
+          from
+        });
+      case "file":
+        return new FileTransport({
+          outputDir: process.env.MAIL_OUTPUT_DIR || path.join(__dirname, "..", "uploads", "mail"),
+          from
+        });
+      case "console":
+        return new ConsoleTransport({ from });
+      default:
+        throw new Error(`Unknown MAIL_TRANSPORT: ${type}`);
+    }
+  }
+
+  /**
+   * Replace the active transport (e.g. with a stub in tests)
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  // User-supplied values (the account name) must not add markup to HTML bodies
+  escapeHtml(value) {
+    return String(value ?? "").replace(/[&<>"']/g, char => ({
+      "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;"
+    })[char]);
+  }
+
+  async send(message) {
+    return this.transport.send(message);
+  }
+
+  async sendVerificationEmail(user, token) {
+    const link = `${this.appUrl}/verify-email?token=${encodeURIComponent(token)}`;
+    return this.send({
+      to: user.email,
+      subject: "Verify your InterviewIQ email address",
+      text: `Hi ${user.name},\n\nPlease confirm your email address by opening the link below:\n\n${link}\n\nIf you did not create an account, you can ignore this email.`,
+      html: `<p>Hi ${this.escapeHtml(user.name)},</p><p>Please confirm your email address:</p><p><a href="${link}">Verify email</a></p><p>If you did not create an account, you can ignore this email.</p>`
+    });
+  }
+
+  async sendPasswordResetEmail(user, token) {
+    const link = `${this.appUrl}/reset-password?token=${encodeURIComponent(token)}`;
+    return this.send({
+      to: user.email,
+      subject: "Reset your InterviewIQ password",
+      text: `Hi ${user.name},\n\nUse the link below to choose a new password. It can only be used once.\n\n${link}\n\nIf you did not ask for a password reset, you can ignore this email.`,
+      html: `<p>Hi ${this.escapeHtml(user.name)},</p><p>Use the link below to choose a new password. It can only be used once.</p><p><a href="${link}">Reset password</a></p><p>If you did not ask for a password reset, you can ignore this email.</p>`
+    });
+  }
+
+  async sendAccountLockedEmail(user, lockUntil) {
+    const link = `${this.appUrl}/forgot-password`;
+    return this.send({
+      to: user.email,
+      subject: "Your InterviewIQ account has been temporarily locked",
+      text: `Hi ${user.name},\n\nWe locked your account after several failed sign-in attempts. It unlocks automatically at ${lockUntil.toISOString()}.\n\nIf this wasn't you, reset your password to unlock it right away:\n\n${link}`,
+      html: `<p>Hi ${this.escapeHtml(user.name)},</p><p>We locked your account after several failed sign-in attempts. It unlocks automatically at ${lockUntil.toISOString()}.</p><p>If this wasn't you, <a href="${link}">reset your password</a> to unlock it right away.</p>`
+    });
+  }
+}
+
+module.exports = new MailService();
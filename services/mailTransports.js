@@ -0,0 +1,70 @@
+/**
+ * Mail transports used by mailService
+ * Each transport exposes send({ to, subject, text, html }) and resolves
+ * with an info object describing where the message went.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const nodemailer = require("nodemailer");
+
+/**
+ * Real delivery over SMTP (nodemailer)
+ */
+class SmtpTransport {
+  constructor(options = {}) {
+    this.transporter = nodemailer.createTransport({
+      host: options.host,
+      port: options.port,
+      secure: options.secure,
+      auth: options.user ? { user: options.user, pass: options.pass } : undefined
+    });
+    this.from = options.from;
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail({ from: this.from, ...message });
+    return { transport: "smtp", messageId: info.messageId };
+  }
+}
+
+/**
+ * Writes each message as a JSON file - handy for local development and tests
+ * that need to read a verification or reset link back out
+ */
+class FileTransport {
+  constructor(options = {}) {
+    this.outputDir = options.outputDir;
+    this.from = options.from;
+  }
+
+  async send(message) {
+    if (!fs.existsSync(this.outputDir)) {
+      fs.mkdirSync(this.outputDir, { recursive: true });
+    }
+
+    const fileName = `${Date.now()}-${Math.round(Math.random() * 1E9)}.json`;
+    const filePath = path.join(this.outputDir, fileName);
+    const record = { from: this.from, ...message, sentAt: new Date() };
+
+    await fs.promises.writeFile(filePath, JSON.stringify(record, null, 2));
+    return { transport: "file", filePath };
+  }
+}
+
+/**
+ * Prints messages to the server log
+ */
+class ConsoleTransport {
+  constructor(options = {}) {
+    this.from = options.from;
+  }
+
+  async send(message) {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}`);
+    console.log(message.text);
+    return { transport: "console" };
+  }
+}
+
+module.exports = { SmtpTransport, FileTransport, ConsoleTransport };
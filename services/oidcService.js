@@ -0,0 +1,265 @@
+/**
+ * OIDC Service - OpenID Connect login (authorization code flow with PKCE)
+ * Provider settings come from OIDC_* environment variables. The signed-in
+ * user is linked or created by verified email and then gets our usual tokens.
+ */
+
+const crypto = require("crypto");
+const axios = require("axios");
+const bcrypt = require("bcryptjs");
+const jwt = require("jsonwebtoken");
+const User = require("../models/user");
+const OidcLoginState = require("../models/oidcLoginState");
+
+class OidcService {
+  constructor() {
+    this.issuer = (process.env.OIDC_ISSUER || "").replace(/\/$/, "");
+    this.clientId = process.env.OIDC_CLIENT_ID || "";
+    this.clientSecret = process.env.OIDC_CLIENT_SECRET || "";
+    this.redirectUri = process.env.OIDC_REDIRECT_URI || "";
+    this.scopes = process.env.OIDC_SCOPES || "openid email profile";
+    this.providerName = process.env.OIDC_PROVIDER_NAME || "Company SSO";
+    this.postLoginRedirect = process.env.OIDC_POST_LOGIN_REDIRECT
+      || `${process.env.APP_URL || "http://localhost:3000"}/oidc/callback`;
+    this.stateTtlMs = 10 * 60 * 1000;
+    this.stateCookieName = "oidc_state";
+    this.discovery = null;
+    this.jwks = null;
+  }
+
+  isEnabled() {
+    return !!(this.issuer && this.clientId && this.redirectUri);
+  }
+
+  base64Url(buffer) {
+    return buffer.toString("base64url");
+  }
+
+  hashCode(code) {
+    return crypto.createHash("sha256").update(code).digest("hex");
+  }
+
+  /**
+   * Fetch (and cache) the provider's discovery document
+   */
+  async getDiscovery() {
+    if (this.discovery) return this.discovery;
+
+    const response = await axios.get(`${this.issuer}/.well-known/openid-configuration`, { timeout: 10000 });
+    const discovery = response.data;
+    if (discovery.issuer.replace(/\/$/, "") !== this.issuer) {
+      throw new Error(`OIDC issuer mismatch: expected ${this.issuer}, got ${discovery.issuer}`);
+    }
+
+    this.discovery = discovery;
+    return discovery;
+  }
+
+  /**
+   * Fetch the provider's signing keys; refetched when an unknown key id shows up
+   */
+  async getSigningKey(kid) {
+    const findKey = () => (this.jwks || []).find(key => !kid || key.kid === kid);
+
+    let jwk = findKey();
+    if (!jwk) {
+      const discovery = await this.getDiscovery();
+      const response = await axios.get(discovery.jwks_uri, { timeout: 10000 });
+      this.jwks = response.data.keys || [];
+      jwk = findKey();
+    }
+    if (!jwk) throw new Error("No matching OIDC signing key");
+
+    return crypto.createPublicKey({ key: jwk, format: "jwk" });
+  }
+
+  /**
+   * Options for the cookie that ties a login to the browser that started it.
+   * SameSite=Lax so it survives the top-level redirect back from the provider.
+   */
+  getStateCookieOptions() {
+    return {
+      httpOnly: true,
+      sameSite: "lax",
+      secure: this.redirectUri.startsWith("https:"),
+      path: new URL(this.redirectUri).pathname,
+      maxAge: this.stateTtlMs
+    };
+  }
+
+  readStateCookie(cookieHeader) {
+    const entry = String(cookieHeader || "").split(";")
+      .map(part => part.trim())
+      .find(part => part.startsWith(`${this.stateCookieName}=`));
+    return entry ? decodeURIComponent(entry.slice(this.stateCookieName.length + 1)) : null;
+  }
+
+  /**
+   * Start a login: remember state, nonce and PKCE verifier and build the provider URL
+   * @returns {Object} { url, stateCookie } - URL to redirect the browser to and the value
+   * for the state cookie (a hash of state), which the callback requires
+   */
+  async createAuthorizationUrl() {
+    const discovery = await this.getDiscovery();
+
+    const state = this.base64Url(crypto.randomBytes(24));
+    const nonce = this.base64Url(crypto.randomBytes(24));
+    const codeVerifier = this.base64Url(crypto.randomBytes(32));
+    const codeChallenge = this.base64Url(crypto.createHash("sha256").update(codeVerifier).digest());
+
+    await OidcLoginState.create({ state, nonce, codeVerifier });
+
+    const params = new URLSearchParams({
+      response_type: "code",
+      client_id: this.clientId,
+      redirect_uri: this.redirectUri,
+      scope: this.scopes,
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: "S256"
+    });
+
+    return {
+      url: `${discovery.authorization_endpoint}?${params.toString()}`,
+      stateCookie: this.hashCode(state)
+    };
+  }
+
+  /**
+   * Finish the provider round-trip: check state against the browser's state cookie (so an
+   * attacker can't complete their own login in a victim's browser), redeem the code, verify
+   * the ID token, then link or create the user.
+   * @returns {string} One-time handoff code the frontend exchanges for tokens
+   */
+  async handleCallback({ code, state, stateCookie }) {
+    if (!code || !state) throw new Error("Missing code or state");
+
+    const expected = Buffer.from(this.hashCode(state));
+    const received = Buffer.from(String(stateCookie || ""));
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+      throw new Error("Login was not started in this browser");
+    }
+
+    const loginState = await OidcLoginState.findOne({
+      state,
+      userId: null,
+      createdAt: { $gt: new Date(Date.now() - this.stateTtlMs) }
+    });
+    if (!loginState) throw new Error("Login request expired or is unknown");
+
+    const discovery = await this.getDiscovery();
+    const tokenParams = new URLSearchParams({
+      grant_type: "authorization_code",
+      code,
+      redirect_uri: this.redirectUri,
+      client_id: this.clientId,
+      code_verifier: loginState.codeVerifier
+    });
+    if (this.clientSecret) tokenParams.set("client_secret", this.clientSecret);
+
+    const tokenResponse = await axios.post(discovery.token_endpoint, tokenParams.toString(), {
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      timeout: 10000
+    });
+
+    const claims = await this.verifyIdToken(tokenResponse.data.id_token, loginState.nonce);
+    const user = await this.findOrCreateUser(claims);
+
+    const handoffCode = this.base64Url(crypto.randomBytes(32));
+    const updated = await OidcLoginState.findOneAndUpdate(
+      { _id: loginState._id, userId: null },
+      { $set: { userId: user._id, handoffCodeHash: this.hashCode(handoffCode) } }
+    );
+    if (!updated) throw new Error("Login request was already used");
+
+    return handoffCode;
+  }
+
+  async verifyIdToken(idToken, expectedNonce) {
+    if (!idToken) throw new Error("Provider did not return an ID token");
+
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) throw new Error("Malformed ID token");
+
+    const key = await this.getSigningKey(decoded.header.kid);
+    const claims = jwt.verify(idToken, key, {
+      algorithms: ["RS256", "RS384", "RS512", "ES256", "ES384", "PS256"],
+      issuer: this.discovery.issuer,
+      audience: this.clientId
+    });
+
+    if (claims.nonce !== expectedNonce) throw new Error("ID token nonce mismatch");
+    return claims;
+  }
+
+  /**
+   * Find the user for these claims: by linked provider identity first, then by
+   * verified email (linking the account), otherwise create a new account.
+   */
+  async findOrCreateUser(claims) {
+    if (!claims.email || claims.email_verified !== true) {
+      throw new Error("Identity provider did not supply a verified email address");
+    }
+
+    const linked = await User.findOne({ "oidc.issuer": claims.iss, "oidc.subject": claims.sub });
+    if (linked) return linked;
+
+    // Emails were stored as typed at registration; match any casing
+    const email = claims.email.trim().toLowerCase();
+    const existing = await User.findOne({ email }).collation({ locale: "en", strength: 2 });
+    if (existing) {
+      existing.oidc = { issuer: claims.iss, subject: claims.sub, linkedAt: new Date() };
+      if (!existing.emailVerified) {
+        existing.emailVerified = true;
+        existing.emailVerifiedAt = new Date();
+      }
+      await existing.save();
+      console.log(`🔗 Linked ${email} to OIDC subject ${claims.sub}`);
+      return existing;
+    }
+
+    // Random password: the account signs in through the provider; the owner can
+    // still set a password later via the reset flow
+    const user = await User.create({
+      name: claims.name || claims.preferred_username || email.split("@")[0],
+      email,
+      password: await bcrypt.hash(crypto.randomBytes(32).toString("hex"), 10),
+      emailVerified: true,
+      emailVerifiedAt: new Date(),
+      oidc: { issuer: claims.iss, subject: claims.sub, linkedAt: new Date() }
+    });
+    console.log(`👤 Created user ${email} from OIDC login`);
+    return user;
+  }
+
+  /**
+   * Redeem a handoff code once
+   * @returns {string|null} userId, or null when the code is invalid, used or expired
+   */
+  async redeemHandoffCode(code) {
+    if (!code) return null;
+
+    const loginState = await OidcLoginState.findOneAndUpdate(
+      {
+        handoffCodeHash: this.hashCode(code),
+        consumedAt: null,
+        createdAt: { $gt: new Date(Date.now() - this.stateTtlMs) }
+      },
+      { $set: { consumedAt: new Date() } }
+    );
+
+    return loginState ? loginState.userId : null;
+  }
+
+  /**
+   * Where to send the browser after the callback
+   */
+  buildFrontendRedirect(params) {
+    const url = new URL(this.postLoginRedirect);
+    Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+    return url.toString();
+  }
+}
+
+module.exports = new OidcService();
@@ -0,0 +1,124 @@
+/**
+ * Personal Token Service - scoped, revocable API tokens for scripting
+ * Tokens look like iiq_pat_<random> and are accepted by authMiddleware on
+ * routes that declare the scope they need.
+ */
+
+const crypto = require("crypto");
+const PersonalAccessToken = require("../models/personalAccessToken");
+const User = require("../models/user");
+
+const TOKEN_PREFIX = "iiq_pat_";
+
+const SCOPES = {
+  "sessions:read": "Read interview sessions and summaries",
+  "interview:write": "Start interviews and submit answers",
+  "analytics:read": "Read performance analytics",
+  "resume:read": "Read uploaded resumes",
+  "resume:write": "Upload and delete resumes"
+};
+
+class PersonalTokenService {
+  constructor() {
+    this.prefix = TOKEN_PREFIX;
+    this.scopes = SCOPES;
+    this.maxTokensPerUser = 20;
+    // Avoid a write on every request; last-used time is precise to this interval
+    this.lastUsedResolutionMs = 60 * 1000;
+  }
+
+  isPersonalToken(token) {
+    return typeof token === "string" && token.startsWith(this.prefix);
+  }
+
+  hashToken(rawToken) {
+    return crypto.createHash("sha256").update(rawToken).digest("hex");
+  }
+
+  /**
+   * Return the scopes that are not recognised
+   */
+  findInvalidScopes(scopes) {
+    return scopes.filter(scope => !Object.prototype.hasOwnProperty.call(this.scopes, scope));
+  }
+
+  /**
+   * Create a token. The raw token is returned once and never stored.
+   * @param {string} userId - Owner of the token
+   * @param {Object} options - { name, scopes, expiresInDays }
+   * Errors the caller can fix carry status 400.
+   */
+  async createToken(userId, { name, scopes, expiresInDays }) {
+    const activeCount = await PersonalAccessToken.countDocuments({ userId, revokedAt: null });
+    if (activeCount >= this.maxTokensPerUser) {
+      const error = new Error(`You can have at most ${this.maxTokensPerUser} active tokens`);
+      error.status = 400;
+      throw error;
+    }
+
+    const rawToken = this.prefix + crypto.randomBytes(32).toString("base64url");
+    const record = await PersonalAccessToken.create({
+      userId,
+      name,
+      scopes: [...new Set(scopes)],
+      tokenHash: this.hashToken(rawToken),
+      tokenPrefix: rawToken.substring(0, this.prefix.length + 6),
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : undefined
+    });
+
+    return { token: rawToken, record };
+  }
+
+  async listTokens(userId) {
+    return PersonalAccessToken.find({ userId, revokedAt: null })
+      .sort({ createdAt: -1 })
+      .select("name tokenPrefix scopes lastUsedAt expiresAt createdAt");
+  }
+
+  async revokeToken(tokenId, userId) {
+    const result = await PersonalAccessToken.updateOne(
+      { _id: tokenId, userId, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Resolve a raw token to its owner and scopes, recording the use
+   * @returns {Object|null} { tokenId, userId, role, scopes } or null when invalid
+   */
+  async authenticate(rawToken) {
+    const record = await PersonalAccessToken.findOne({ tokenHash: this.hashToken(rawToken) });
+    if (!record || !record.isActive()) return null;
+
+    const user = await User.findById(record.userId).select("role");
+    if (!user) return null;
+
+    const now = Date.now();
+    if (!record.lastUsedAt || now - record.lastUsedAt.getTime() > this.lastUsedResolutionMs) {
+      await PersonalAccessToken.updateOne({ _id: record._id }, { $set: { lastUsedAt: new Date(now) } });
+    }
+
+    return {
+      tokenId: record._id,
+      userId: record.userId,
+      role: user.role || "candidate",
+      scopes: record.scopes,
+      expiresAt: record.expiresAt || null
+    };
+  }
+
+  /**
+   * Whether a token authenticated earlier is still unrevoked and unexpired
+   */
+  async isTokenActive(tokenId) {
+    const exists = await PersonalAccessToken.exists({
+      _id: tokenId,
+      revokedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    });
+    return !!exists;
+  }
+}
+
+module.exports = new PersonalTokenService();
@@ -0,0 +1,99 @@
+const UserPreferences = require("../models/userPreferences");
+
+// Fields a user can change, with how to validate each one
+const EDITABLE_FIELDS = {
+  defaultRole: (value) => typeof value === 'string' && value.trim().length <= 100,
+  difficulty: (value) => ['easy', 'medium', 'hard'].includes(value),
+  questionCount: (value) => Number.isInteger(value) && value >= 1 && value <= 20,
+  timeLimit: (value) => Number.isInteger(value) && value >= 30 && value <= 600,
+  enableVoice: (value) => typeof value === 'boolean',
+  language: (value) => typeof value === 'string' && /^[a-z]{2}$/.test(value),
+  useResume: (value) => typeof value === 'boolean',
+  retainAudio: (value) => typeof value === 'boolean'
+};
+
+class PreferencesService {
+  constructor() {
+    this.defaults = {
+      defaultRole: "",
+      difficulty: 'medium',
+      questionCount: 5,
+      timeLimit: 120,
+      enableVoice: true,
+      language: 'en',
+      useResume: false,
+      retainAudio: false
+    };
+  }
+
+  // Get a user's preferences, falling back to defaults when none are saved
+  async getPreferences(userId) {
+    const preferences = await UserPreferences.findOne({ userId }).lean();
+    const merged = { ...this.defaults };
+
+    if (preferences) {
+      Object.keys(this.defaults).forEach(field => {
+        if (preferences[field] !== undefined) merged[field] = preferences[field];
+      });
+    }
+
+    return merged;
+  }
+
+  // Validate a partial update; returns a list of error messages
+  validateUpdates(updates) {
+    const errors = [];
+
+    Object.entries(updates || {}).forEach(([field, value]) => {
+      if (!EDITABLE_FIELDS[field]) {
+        errors.push(`Unknown preference: ${field}`);
+      } else if (!EDITABLE_FIELDS[field](value)) {
+        errors.push(`Invalid value for ${field}`);
+      }
+    });
+
+    return errors;
+  }
+
+  // Save a partial update and return the full preferences
+  async updatePreferences(userId, updates) {
+    const changes = {};
+    Object.keys(EDITABLE_FIELDS).forEach(field => {
+      if (updates[field] !== undefined) {
+        changes[field] = typeof updates[field] === 'string' ? updates[field].trim() : updates[field];
+      }
+    });
+
+    await UserPreferences.findOneAndUpdate(
+      { userId },
+      { $set: changes },
+      { upsert: true, new: true, setDefaultsOnInsert: true, runValidators: true }
+    );
+
+    return this.getPreferences(userId);
+  }
+
+  async deletePreferences(userId) {
+    await UserPreferences.deleteOne({ userId });
+  }
+
+  // Merge saved preferences with a /start request body; request values win
+  resolveStartOptions(preferences, body = {}) {
+    const settings = body.settings || {};
+    const pick = (value, fallback) => (value !== undefined && value !== null && value !== '' ? value : fallback);
+
+    return {
+      role: pick(body.role, preferences.defaultRole),
+      useResume: pick(body.useResume, preferences.useResume),
+      settings: {
+        timeLimit: pick(settings.timeLimit, preferences.timeLimit),
+        difficulty: pick(settings.difficulty, preferences.difficulty),
+        questionCount: pick(settings.questionCount, preferences.questionCount),
+        enableVoice: pick(settings.enableVoice, preferences.enableVoice),
+        language: pick(settings.language, preferences.language)
+      }
+    };
+  }
+}
+
+module.exports = new PreferencesService();
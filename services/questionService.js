@@ -57,6 +57,58 @@ class QuestionService {
         ]
       }
     };
+    // Extra questions by difficulty for adaptive interviews
+    this.difficultyBank = {
+      easy: [
+        "Walk me through your background in a few sentences.",
+        "What do you enjoy most about your work?",
+        "What are you hoping to learn in your next role?",
+        "How would your colleagues describe you?",
+        "What drew you to this field?"
+      ],
+      medium: [
+        "Describe your experience working with a difficult stakeholder.",
+        "How do you approach prioritising several urgent tasks?",
+        "How do you handle feedback you disagree with?",
+        "Tell me about your experience mentoring or onboarding someone.",
+        "How do you approach learning a new tool or technology quickly?"
+      ],
+      hard: [
+        "Describe the most complex problem you have solved and the trade-offs you made.",
+        "Tell me about a challenging decision you made with incomplete information.",
+        "How would you design a solution for a problem you know well, from requirements to rollout?",
+        "Describe a time a project of yours failed. What would you do differently?",
+        "Tell me about a challenging disagreement on technical or strategic direction and how it was resolved."
+      ]
+    };
+  }
+
+  // Generate a single question at a target difficulty (adaptive interviews).
+  // Tries AI first, then the question banks; never repeats a question from askedQuestions.
+  async generateQuestionAtDifficulty(jobRole, resumeContent = "", difficulty = 'medium', askedQuestions = [], userId = null) {
+    console.log(`🎯 Generating a ${difficulty} question for ${jobRole}...`);
+    const aiQuestion = await aiService.generateQuestionAtDifficulty(jobRole, resumeContent, difficulty, askedQuestions);
+    if (aiQuestion) {
+      return aiQuestion;
+    }
+
+    const roleQuestions = this.questionBank.roleSpecific[jobRole.toLowerCase()] || this.questionBank.technical;
+    const pool = [
+      ...this.difficultyBank[difficulty],
+      ...[...this.questionBank.general, ...roleQuestions].filter(text => this.getDifficulty(text) === difficulty)
+    ].filter(text => !askedQuestions.includes(text));
+
+    // Every question at this level was asked already; stay at the level with a generic one
+    const [text] = pool.length > 0
+      ? this.getRandomQuestions(pool, 1, userId)
+      : this.getRandomQuestions([...this.questionBank.general, ...this.questionBank.technical].filter(q => !askedQuestions.includes(q)), 1);
+
+    return {
+      text: text || "Is there anything else about your experience you would like to share?",
+      difficulty,
+      category: text ? this.getCategory(text) : 'general',
+      timeLimit: 120
+    };
   }
 
   // Generate questions based on job role and resume
@@ -81,6 +133,40 @@ class QuestionService {
     }
   }
 
+  // Add follow-up questions about an answer to the session, within the session's cap.
+  // Follow-ups are appended (existing indices stay valid) and only one level deep.
+  // Returns the indices of the added questions; the caller saves the session.
+  async addFollowUps(session, parentIndex, answer) {
+    const parent = session.questions[parentIndex];
+    const remaining = (session.settings.maxFollowUps || 0) - session.getFollowUpCount();
+    if (!session.settings.followUps || !parent || parent.isFollowUp || remaining <= 0) {
+      return [];
+    }
+
+    const texts = await aiService.generateFollowUps(parent.text, answer, session.role, Math.min(2, remaining));
+    const asked = new Set(session.questions.map(question => question.text.toLowerCase()));
+
+    const added = [];
+    texts
+      .filter(text => !asked.has(text.toLowerCase()))
+      .forEach(text => {
+        session.questions.push({
+          text,
+          timeLimit: parent.timeLimit,
+          difficulty: parent.difficulty,
+          category: parent.category,
+          isFollowUp: true,
+          parentIndex
+        });
+        added.push(session.questions.length - 1);
+      });
+
+    if (added.length > 0) {
+      console.log(`🔎 Added ${added.length} follow-up(s) to question ${parentIndex + 1}`);
+    }
+    return added;
+  }
+
   // Smart question selection based on role and resume
   selectSmartQuestions(jobRole, resumeContent = "", count = 5, userId = null) {
     const selectedQuestions = [];
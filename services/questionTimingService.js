@@ -0,0 +1,105 @@
+/**
+ * Question Timing Service - measures answer times on the server
+ * The clock starts when GET /session/:id/question serves a question and stops when the
+ * answer (or, for voice answers, the recording) arrives. Over-limit answers are handled
+ * by QUESTION_TIME_POLICY: flag (record only), penalize (lower the score) or reject.
+ */
+
+const POLICIES = ['flag', 'penalize', 'reject'];
+
+class QuestionTimingService {
+  constructor() {
+    const policy = (process.env.QUESTION_TIME_POLICY || 'flag').toLowerCase();
+    this.policy = POLICIES.includes(policy) ? policy : 'flag';
+    // Allowance for network latency and upload time
+    this.graceSeconds = parseInt(process.env.QUESTION_TIME_GRACE_SECONDS) || 5;
+    this.penaltyPoints = parseInt(process.env.QUESTION_TIME_PENALTY_POINTS) || 2;
+  }
+
+  /**
+   * Start the clock for a question unless it is already running
+   * @returns {boolean} Whether the question was newly served
+   */
+  startClock(session, questionIndex) {
+    const question = session.questions[questionIndex];
+    if (question.servedAt) return false;
+
+    question.servedAt = new Date();
+    question.clockStoppedAt = undefined;
+    return true;
+  }
+
+  /**
+   * Stop the clock without recording an answer yet (voice recording received)
+   */
+  stopClock(session, questionIndex, at = new Date()) {
+    const question = session.questions[questionIndex];
+    if (question.servedAt && !question.clockStoppedAt) {
+      question.clockStoppedAt = at;
+    }
+  }
+
+  resetClock(session, questionIndex) {
+    const question = session.questions[questionIndex];
+    question.servedAt = undefined;
+    question.clockStoppedAt = undefined;
+  }
+
+  /**
+   * Clock state for the client's timer
+   */
+  getClock(session, questionIndex) {
+    const question = session.questions[questionIndex];
+    if (!question.servedAt) return null;
+
+    const deadline = new Date(question.servedAt.getTime() + question.timeLimit * 1000);
+    return {
+      servedAt: question.servedAt,
+      deadline,
+      remainingSeconds: Math.max(0, Math.round((deadline - Date.now()) / 1000))
+    };
+  }
+
+  /**
+   * Time an answer against the question's limit
+   * Questions answered without being served are timed from the session's last activity.
+   * @returns {Object} { serverResponseTime, clientResponseTime, overTime, overTimeBy, action }
+   *   where action is 'accept', 'penalize' or 'reject'
+   */
+  evaluate(session, questionIndex, clientResponseTime) {
+    const question = session.questions[questionIndex];
+    const startedAt = question.servedAt || session.lastActivity || session.startedAt;
+    const stoppedAt = question.clockStoppedAt || new Date();
+
+    const serverResponseTime = Math.max(0, Math.round((stoppedAt - startedAt) / 1000));
+    const overTimeBy = Math.max(0, serverResponseTime - question.timeLimit);
+    const overTime = serverResponseTime > question.timeLimit + this.graceSeconds;
+
+    let action = 'accept';
+    if (overTime && this.policy === 'penalize') action = 'penalize';
+    if (overTime && this.policy === 'reject') action = 'reject';
+
+    const clientTime = Number(clientResponseTime);
+    return {
+      serverResponseTime,
+      clientResponseTime: Number.isFinite(clientTime) && clientTime >= 0 ? Math.round(clientTime) : undefined,
+      overTime,
+      overTimeBy: overTime ? overTimeBy : 0,
+      action
+    };
+  }
+
+  /**
+   * Lower a feedback's overall score for an over-limit answer (never below 1).
+   * Category scores stay as assessed.
+   */
+  applyPenalty(feedback) {
+    const original = feedback.overallScore || 1;
+    feedback.overallScore = Math.max(1, original - this.penaltyPoints);
+    feedback.timePenalty = original - feedback.overallScore;
+    feedback.suggestions = [...(feedback.suggestions || []), "Keep your answer within the time limit."];
+    return feedback;
+  }
+}
+
+module.exports = new QuestionTimingService();
@@ -205,6 +205,25 @@ class ResumeService {
     }
   }
 
+  // Delete every resume of a user, files included (account deletion)
+  async deleteAllForUser(userId) {
+    try {
+      const resumes = await Resume.find({ userId: userId }).select('filePath');
+
+      for (const resume of resumes) {
+        if (resume.filePath && fs.existsSync(resume.filePath)) {
+          fs.unlinkSync(resume.filePath);
+        }
+      }
+
+      await Resume.deleteMany({ userId: userId });
+      return resumes.length;
+    } catch (error) {
+      console.error("Error deleting user resumes:", error);
+      throw new Error("Failed to delete resumes");
+    }
+  }
+
   // Generate resume summary for question generation
   generateResumeSummary(resume) {
     if (!resume) return "";
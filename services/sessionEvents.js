@@ -0,0 +1,82 @@
+/**
+ * Session Events - in-process pub/sub for live interview session updates
+ * Routes publish events (question.served, feedback.ready, transcription.progress, ...)
+ * and GET /session/:id/events streams them to the browser as Server-Sent Events.
+ * Recent events are kept per session so a reconnecting client can replay what it missed.
+ */
+
+const { EventEmitter } = require("events");
+
+class SessionEvents extends EventEmitter {
+  constructor() {
+    super();
+    // One listener per open stream; many tabs per session are fine
+    this.setMaxListeners(0);
+    this.bufferSize = 50;
+    this.bufferTtlMs = 60 * 60 * 1000;
+    this.buffers = new Map(); // sessionId -> { nextId, events, updatedAt }
+
+    this.purgeTimer = setInterval(() => this.purgeBuffers(), 10 * 60 * 1000);
+    this.purgeTimer.unref();
+  }
+
+  channel(sessionId) {
+    return `session:${sessionId}`;
+  }
+
+  /**
+   * Publish an event to everyone watching a session
+   * @returns {Object} The event as sent: { id, type, sessionId, timestamp, data }
+   */
+  publish(sessionId, type, data = {}) {
+    const key = String(sessionId);
+    let buffer = this.buffers.get(key);
+    if (!buffer) {
+      buffer = { nextId: 1, events: [] };
+      this.buffers.set(key, buffer);
+    }
+
+    const event = {
+      id: buffer.nextId++,
+      type,
+      sessionId: key,
+      timestamp: new Date(),
+      data
+    };
+
+    buffer.events.push(event);
+    if (buffer.events.length > this.bufferSize) buffer.events.shift();
+    buffer.updatedAt = Date.now();
+
+    this.emit(this.channel(key), event);
+    return event;
+  }
+
+  /**
+   * Listen to a session's events
+   * @returns {Function} Call to stop listening
+   */
+  subscribe(sessionId, listener) {
+    const channel = this.channel(String(sessionId));
+    this.on(channel, listener);
+    return () => this.off(channel, listener);
+  }
+
+  /**
+   * Buffered events after lastEventId, for clients reconnecting with Last-Event-ID
+   */
+  getEventsSince(sessionId, lastEventId) {
+    const buffer = this.buffers.get(String(sessionId));
+    if (!buffer) return [];
+    return buffer.events.filter(event => event.id > lastEventId);
+  }
+
+  purgeBuffers() {
+    const cutoff = Date.now() - this.bufferTtlMs;
+    for (const [key, buffer] of this.buffers) {
+      if (buffer.updatedAt < cutoff) this.buffers.delete(key);
+    }
+  }
+}
+
+module.exports = new SessionEvents();
@@ -0,0 +1,84 @@
+/**
+ * Session Sweeper - abandons interview sessions nobody is coming back to
+ * Runs on an interval inside the web process. Active sessions expire after
+ * SESSION_INACTIVITY_MINUTES without activity, paused ones after SESSION_PAUSED_TTL_HOURS.
+ */
+
+const InterviewSession = require("../models/interviewSession");
+const sessionEvents = require("./sessionEvents");
+
+class SessionSweeper {
+  constructor() {
+    this.inactivityMs = (parseInt(process.env.SESSION_INACTIVITY_MINUTES) || 60) * 60 * 1000;
+    this.pausedTtlMs = (parseInt(process.env.SESSION_PAUSED_TTL_HOURS) || 24) * 60 * 60 * 1000;
+    this.intervalMs = (parseInt(process.env.SESSION_SWEEP_INTERVAL_MINUTES) || 5) * 60 * 1000;
+    this.batchSize = 100;
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.sweep().catch(error => console.error("Session sweep error:", error));
+    }, this.intervalMs);
+    // Don't keep the process alive just for the sweeper
+    this.timer.unref();
+    console.log(`🧹 Session sweeper started (every ${this.intervalMs / 60000} min)`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  isExpired(session) {
+    return session.isExpired(this.inactivityMs, this.pausedTtlMs);
+  }
+
+  /**
+   * Abandon every expired session, computing partial performance for each
+   * @returns {number} How many sessions were abandoned
+   */
+  async sweep() {
+    if (this.running) return 0;
+    this.running = true;
+
+    try {
+      const now = Date.now();
+      const expiredActive = { status: "active", lastActivity: { $lt: new Date(now - this.inactivityMs) } };
+      const expiredPaused = { status: "paused", pausedAt: { $lt: new Date(now - this.pausedTtlMs) } };
+      const query = { $or: [expiredActive, expiredPaused] };
+
+      let abandoned = 0;
+      let batch;
+      let batchAbandoned;
+      do {
+        batch = await InterviewSession.find(query).limit(this.batchSize);
+        batchAbandoned = 0;
+        for (const session of batch) {
+          if (!this.isExpired(session)) continue;
+          const stillExpired = session.status === "active" ? expiredActive : expiredPaused;
+          session.abandon("inactive");
+
+          // Write only if the session is still expired: an answer or resume since the
+          // query moves lastActivity/pausedAt on, and a save would overwrite it
+          const result = await InterviewSession.updateOne({ _id: session._id, ...stillExpired }, session.getChanges());
+          if (result.matchedCount === 0) continue;
+          sessionEvents.publish(session._id, 'session.abandoned', { reason: 'inactive', abandonedAt: session.abandonedAt });
+          batchAbandoned++;
+        }
+        abandoned += batchAbandoned;
+      } while (batch.length === this.batchSize && batchAbandoned > 0);
+
+      if (abandoned > 0) {
+        console.log(`🧹 Abandoned ${abandoned} inactive interview session(s)`);
+      }
+      return abandoned;
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = new SessionSweeper();
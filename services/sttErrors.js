@@ -0,0 +1,33 @@
+/**
+ * Speech-to-text error codes shared by every STT provider
+ * Providers throw errors with `code` set to one of these; `retryable` follows from the
+ * code, so the job queue knows whether trying again can help. The code is stored on
+ * the job and sent with transcription.failed so clients don't have to parse messages.
+ */
+
+const STT_ERRORS = {
+  ffmpeg_missing: { retryable: false, message: "FFmpeg not found. Please install FFmpeg and ensure it's in your PATH." },
+  engine_missing: { retryable: false, message: "The speech-to-text engine is not installed." },
+  audio_invalid: { retryable: false, message: "Audio file not found or corrupted." },
+  no_speech: { retryable: false, message: "Could not transcribe audio. Please try again." },
+  timeout: { retryable: true, message: "Audio processing timeout. Please try a shorter recording." },
+  busy: { retryable: true, message: "Transcription queue is full. Please try again shortly." },
+  unavailable: { retryable: true, message: "Transcription service is shutting down." },
+  engine_error: { retryable: true, message: "Failed to process audio. Please try again." }
+};
+
+/**
+ * Build an STT error; message defaults to the code's standard message
+ */
+const sttError = (code, message) => {
+  const definition = STT_ERRORS[code] || STT_ERRORS.engine_error;
+  const error = new Error(message || definition.message);
+  error.code = STT_ERRORS[code] ? code : 'engine_error';
+  error.retryable = definition.retryable;
+  return error;
+};
+
+// Anything a provider throws without a known code is treated as an engine failure
+const toSttError = (error) => (STT_ERRORS[error.code] ? error : sttError('engine_error', error.message));
+
+module.exports = { STT_ERRORS, sttError, toSttError };
@@ -0,0 +1,252 @@
+/**
+ * Speech-to-text providers used by transcriptionService
+ * Each provider exposes transcribe(audioPath, { question, language, onProgress }) and resolves with
+ * { transcript, duration, segments: [{ start, end, text, avg_logprob, no_speech_prob,
+ * words: [{ word, start, end, probability }] }], processing_time }. Confidence fields are null
+ * when an engine doesn't report them. Failures are sttErrors with a code; stop() releases whatever the provider keeps running.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { spawn } = require("child_process");
+const transcriptionPool = require("./transcriptionPool");
+const audioProcessingService = require("./audioProcessingService");
+const { sttError } = require("./sttErrors");
+
+/**
+ * faster-whisper in long-lived Python workers (transcription_worker.py)
+ */
+class FasterWhisperProvider {
+  constructor() {
+    this.name = "faster-whisper";
+  }
+
+  async transcribe(audioPath, options = {}) {
+    return transcriptionPool.transcribe(audioPath, options.question || "", options.onProgress, options.language);
+  }
+
+  stop() {
+    transcriptionPool.stop();
+  }
+
+  getStatus() {
+    return { provider: this.name, ...transcriptionPool.getStatus() };
+  }
+}
+
+/**
+ * A whisper.cpp command-line binary (whisper-cli) with a ggml model file.
+ * whisper.cpp needs 16 kHz mono WAV: uploads arrive that way from audioProcessingService,
+ * other files are converted with FFmpeg first.
+ */
+class WhisperCppProvider {
+  constructor(options = {}) {
+    this.name = "whisper-cpp";
+    this.binary = options.binary;
+    this.modelPath = options.modelPath;
+    this.threads = options.threads;
+    this.timeoutMs = options.timeoutMs;
+  }
+
+  async transcribe(audioPath, options = {}) {
+    const onProgress = options.onProgress || (() => {});
+    const startedAt = Date.now();
+
+    if (!fs.existsSync(audioPath)) throw sttError('audio_invalid');
+    if (!this.modelPath || !fs.existsSync(this.modelPath)) {
+      throw sttError('engine_missing', `whisper.cpp model not found${this.modelPath ? ` at ${this.modelPath}` : ""}. Set WHISPER_CPP_MODEL to a ggml model file.`);
+    }
+
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "whisper-cpp-"));
+    try {
+      let wavPath = audioPath;
+      if (path.extname(audioPath).toLowerCase() !== ".wav") {
+        wavPath = path.join(workDir, "audio.wav");
+        onProgress({ stage: 'converting', percent: 5 });
+        await this.run("ffmpeg", [
+          "-y", "-i", audioPath, "-vn", "-ac", "1", "-ar", "16000", "-c:a", "pcm_s16le",
+          "-map_metadata", "-1", "-fflags", "+bitexact", wavPath
+        ], {
+          missingCode: 'ffmpeg_missing',
+          failureCode: 'audio_invalid'
+        });
+      }
+
+      onProgress({ stage: 'transcribing', percent: 10 });
+      const outputBase = path.join(workDir, "transcript");
+      await this.run(this.binary, [
+        "-m", this.modelPath, "-f", wavPath, "-l", options.language || "en", "-t", String(this.threads),
+        "-ojf", "-of", outputBase, "-pp"
+      ], {
+        missingCode: 'engine_missing',
+        failureCode: 'engine_error',
+        // whisper.cpp prints "... progress = 45%" on stderr with -pp
+        onStderr: (text) => {
+          const match = text.match(/progress\s*=\s*(\d+)%/);
+          if (match) onProgress({ stage: 'transcribing', percent: 10 + Math.round(parseInt(match[1]) * 0.85) });
+        }
+      });
+
+      const output = JSON.parse(await fs.promises.readFile(`${outputBase}.json`, "utf8"));
+      const segments = (output.transcription || []).map(entry => this.toSegment(entry));
+      const duration = await audioProcessingService.getWavDuration(wavPath).catch(() => null);
+      onProgress({ stage: 'done', percent: 100 });
+
+      return {
+        transcript: segments.map(segment => segment.text).join(" ").trim(),
+        duration: duration === null
+          ? (segments.length > 0 ? segments[segments.length - 1].end : 0)
+          : Math.round(duration * 100) / 100,
+        segments,
+        processing_time: Math.round((Date.now() - startedAt) / 10) / 100
+      };
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  // whisper.cpp tokens are word pieces; a leading space starts a new word
+  toSegment(entry) {
+    const words = [];
+    (entry.tokens || []).forEach(token => {
+      if (!token.text || token.text.startsWith("[_")) return;
+      const start = token.offsets.from / 1000;
+      const end = token.offsets.to / 1000;
+      const previous = words[words.length - 1];
+      if (previous && !token.text.startsWith(" ")) {
+        previous.word += token.text;
+        previous.end = end;
+        previous.probability = Math.min(previous.probability, token.p);
+      } else {
+        words.push({ word: token.text.trim(), start, end, probability: token.p });
+      }
+    });
+
+    // whisper.cpp has no segment log probability or no-speech probability; derive the former from tokens
+    const probabilities = (entry.tokens || []).filter(token => token.text && !token.text.startsWith("[_")).map(token => token.p);
+    const avgLogprob = probabilities.length > 0
+      ? probabilities.reduce((sum, p) => sum + Math.log(Math.max(p, 1e-6)), 0) / probabilities.length
+      : null;
+
+    return {
+      start: entry.offsets.from / 1000,
+      end: entry.offsets.to / 1000,
+      text: entry.text.trim(),
+      avg_logprob: avgLogprob === null ? null : Math.round(avgLogprob * 1000) / 1000,
+      no_speech_prob: null,
+      words: words.filter(word => word.word).map(word => ({ ...word, probability: Math.round(word.probability * 1000) / 1000 }))
+    };
+  }
+
+  stop() {}
+
+  getStatus() {
+    return { provider: this.name, binary: this.binary, modelPath: this.modelPath };
+  }
+
+  run(command, args, options) {
+    return new Promise((resolve, reject) => {
+      // Only stderr is read; an unread stdout pipe would fill up and stall the process
+      const child = spawn(command, args, { stdio: ["ignore", "ignore", "pipe"] });
+      let stderr = "";
+      const timer = setTimeout(() => {
+        child.kill();
+        reject(sttError('timeout'));
+      }, this.timeoutMs);
+
+      child.stderr.on("data", (data) => {
+        const text = data.toString();
+        stderr = (stderr + text).slice(-2000);
+        if (options.onStderr) options.onStderr(text);
+      });
+      child.on("error", (error) => {
+        clearTimeout(timer);
+        reject(error.code === 'ENOENT'
+          ? sttError(options.missingCode, options.missingCode === 'ffmpeg_missing' ? undefined : `${command} not found. Set WHISPER_CPP_BIN.`)
+          : sttError(options.failureCode, error.message));
+      });
+      child.on("close", (code) => {
+        clearTimeout(timer);
+        if (code === 0) return resolve();
+        reject(sttError(options.failureCode, `${path.basename(command)} exited with code ${code}: ${stderr.trim().split("\n").pop() || "no output"}`));
+      });
+    });
+  }
+}
+
+/**
+ * Deterministic transcripts for offline development and tests.
+ * Reads a JSON fixtures file: { "default": "...", "fixtures": [{ "sha256" | "fileName": "...",
+ * "transcript": "...", "duration": 12, "segments": [...], "error": "no_speech" }] }.
+ * Recordings are matched by the SHA-256 of their contents (uploads get random names) or
+ * by file name; segments are generated at a steady pace when a fixture doesn't list them.
+ */
+class MockProvider {
+  constructor(options = {}) {
+    this.name = "mock";
+    this.fixturesPath = options.fixturesPath;
+    this.wordsPerMinute = 150;
+  }
+
+  loadFixtures() {
+    if (!this.fixturesPath) return { fixtures: [] };
+    try {
+      const data = JSON.parse(fs.readFileSync(this.fixturesPath, "utf8"));
+      return { default: data.default, fixtures: data.fixtures || [] };
+    } catch (error) {
+      throw sttError('engine_missing', `Could not read STT mock fixtures: ${error.message}`);
+    }
+  }
+
+  async transcribe(audioPath, options = {}) {
+    const onProgress = options.onProgress || (() => {});
+    if (!fs.existsSync(audioPath)) throw sttError('audio_invalid');
+
+    // Read on every call so fixtures can be edited without restarting
+    const { default: defaultTranscript, fixtures } = this.loadFixtures();
+    const sha256 = crypto.createHash("sha256").update(await fs.promises.readFile(audioPath)).digest("hex");
+    const fileName = path.basename(audioPath);
+    const fixture = fixtures.find(entry => entry.sha256 === sha256 || entry.fileName === fileName) ||
+      { transcript: defaultTranscript || "This is a mock transcript of the recorded answer." };
+
+    onProgress({ stage: 'transcribing', percent: 50 });
+    if (fixture.error) throw sttError(fixture.error, fixture.message);
+
+    const segments = fixture.segments || this.buildSegments(fixture.transcript || "");
+    onProgress({ stage: 'done', percent: 100 });
+
+    return {
+      transcript: fixture.transcript,
+      duration: fixture.duration ?? (segments.length > 0 ? segments[segments.length - 1].end : 0),
+      segments,
+      processing_time: 0
+    };
+  }
+
+  // One segment per sentence, words evenly spaced at wordsPerMinute
+  buildSegments(transcript) {
+    const secondsPerWord = 60 / this.wordsPerMinute;
+    let clock = 0;
+    return (transcript.match(/[^.!?]+[.!?]*/g) || [])
+      .map(sentence => sentence.trim())
+      .filter(Boolean)
+      .map(sentence => {
+        const words = sentence.split(/\s+/).map(word => {
+          const start = clock;
+          clock = Math.round((clock + secondsPerWord) * 100) / 100;
+          return { word, start, end: clock, probability: 1 };
+        });
+        return { start: words[0].start, end: clock, text: sentence, avg_logprob: 0, no_speech_prob: 0, words };
+      });
+  }
+
+  stop() {}
+
+  getStatus() {
+    return { provider: this.name, fixturesPath: this.fixturesPath || null };
+  }
+}
+
+module.exports = { FasterWhisperProvider, WhisperCppProvider, MockProvider };
@@ -0,0 +1,231 @@
+/**
+ * Token Service - short-lived access tokens and rotating refresh tokens
+ * Every refresh token belongs to a device session (RefreshToken document);
+ * access tokens carry that session id so they die with it.
+ */
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const RefreshToken = require("../models/refreshToken");
+const User = require("../models/user");
+
+class TokenService {
+  constructor() {
+    this.accessTokenTtl = process.env.ACCESS_TOKEN_TTL || "15m";
+    this.refreshTokenTtlDays = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+    this.actionTokenTtls = {
+      "verify-email": process.env.VERIFY_EMAIL_TOKEN_TTL || "24h",
+      "reset-password": process.env.RESET_PASSWORD_TOKEN_TTL || "1h",
+      "2fa-challenge": process.env.TWO_FACTOR_CHALLENGE_TTL || "5m"
+    };
+  }
+
+  /**
+   * Hash a raw token for storage and lookup
+   */
+  hashToken(rawToken) {
+    return crypto.createHash("sha256").update(rawToken).digest("hex");
+  }
+
+  generateRawToken() {
+    return crypto.randomBytes(48).toString("base64url");
+  }
+
+  /**
+   * Sign an access token bound to a device session
+   */
+  signAccessToken(user, sessionId) {
+    return jwt.sign(
+      { id: user._id, role: user.role || "candidate", sid: sessionId },
+      process.env.JWT_SECRET,
+      { expiresIn: this.accessTokenTtl }
+    );
+  }
+
+  verifyAccessToken(token) {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Action tokens are signed with the same secret but are never access tokens
+    if (decoded.aud) {
+      throw new Error("Token audience not allowed for API access");
+    }
+    return decoded;
+  }
+
+  /**
+   * Fingerprint of the user state an action token is allowed to act on.
+   * Once the action is performed the state changes, the fingerprint no longer
+   * matches and the token cannot be replayed.
+   */
+  getActionFingerprint(user, purpose) {
+    let state;
+    switch (purpose) {
+      case "verify-email":
+        state = `${user.email}|${!!user.emailVerified}`;
+        break;
+      case "reset-password":
+      case "2fa-challenge":
+        state = user.password;
+        break;
+      default:
+        throw new Error(`Unknown action token purpose: ${purpose}`);
+    }
+    return crypto.createHash("sha256").update(`${purpose}|${state}`).digest("hex").substring(0, 32);
+  }
+
+  /**
+   * Sign an expiring, single-use token for an account action
+   * @param {Object} user - User document
+   * @param {string} purpose - "verify-email", "reset-password" or "2fa-challenge"
+   */
+  signActionToken(user, purpose) {
+    return jwt.sign(
+      { id: user._id, fp: this.getActionFingerprint(user, purpose) },
+      process.env.JWT_SECRET,
+      { expiresIn: this.actionTokenTtls[purpose], audience: purpose }
+    );
+  }
+
+  /**
+   * Verify an action token against the current user state
+   * @returns {boolean} true when the token is valid and unused for this user
+   */
+  verifyActionToken(token, purpose, user) {
+    const decoded = this.decodeActionToken(token, purpose);
+    if (!decoded || String(decoded.id) !== String(user._id)) return false;
+    return decoded.fp === this.getActionFingerprint(user, purpose);
+  }
+
+  /**
+   * Decode an action token without checking the user state
+   * @returns {Object|null} Token payload, or null when invalid or expired
+   */
+  decodeActionToken(token, purpose) {
+    try {
+      return jwt.verify(token, process.env.JWT_SECRET, { audience: purpose });
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Create a new device session and return the token pair for it
+   * @param {Object} user - User document
+   * @param {Object} context - { userAgent, ipAddress } of the signing-in device
+   */
+  async createSession(user, context = {}) {
+    const rawRefreshToken = this.generateRawToken();
+
+    const session = await RefreshToken.create({
+      userId: user._id,
+      tokenHash: this.hashToken(rawRefreshToken),
+      userAgent: context.userAgent || "",
+      ipAddress: context.ipAddress || "",
+      expiresAt: new Date(Date.now() + this.refreshTokenTtlDays * 24 * 60 * 60 * 1000)
+    });
+
+    return {
+      token: this.signAccessToken(user, session._id),
+      refreshToken: rawRefreshToken,
+      expiresIn: this.accessTokenTtl,
+      sessionId: session._id
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair. The presented token is
+   * invalidated; presenting it again revokes the whole device session.
+   * @returns {Object|null} Token pair and userId, or null when the token is not usable
+   */
+  async rotateRefreshToken(rawRefreshToken, context = {}) {
+    const tokenHash = this.hashToken(rawRefreshToken);
+    const newRawToken = this.generateRawToken();
+
+    const session = await RefreshToken.findOneAndUpdate(
+      { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+      {
+        $set: {
+          tokenHash: this.hashToken(newRawToken),
+          previousTokenHash: tokenHash,
+          lastUsedAt: new Date(),
+          userAgent: context.userAgent || "",
+          ipAddress: context.ipAddress || ""
+        }
+      },
+      { new: true }
+    );
+
+    if (!session) {
+      // A rotated-away token showing up again means it leaked
+      const reused = await RefreshToken.findOne({ previousTokenHash: tokenHash, revokedAt: null });
+      if (reused) {
+        console.warn(`⚠️ Refresh token reuse detected for session ${reused._id}, revoking`);
+        await this.revokeSession(reused._id, "reuse_detected");
+      }
+      return null;
+    }
+
+    // Re-read the user so role changes reach the next access token
+    const user = await User.findById(session.userId).select("role");
+    if (!user) {
+      await this.revokeSession(session._id, "user_deleted");
+      return null;
+    }
+
+    return {
+      token: this.signAccessToken(user, session._id),
+      refreshToken: newRawToken,
+      expiresIn: this.accessTokenTtl,
+      sessionId: session._id,
+      userId: session.userId
+    };
+  }
+
+  /**
+   * Check that the device session behind an access token is still live
+   */
+  async isSessionActive(sessionId, userId) {
+    if (!sessionId) return false;
+    const exists = await RefreshToken.exists({
+      _id: sessionId,
+      userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+    return !!exists;
+  }
+
+  async revokeSession(sessionId, reason = "logout", userId = null) {
+    const query = { _id: sessionId, revokedAt: null };
+    if (userId) query.userId = userId;
+
+    const result = await RefreshToken.updateOne(query, {
+      $set: { revokedAt: new Date(), revokedReason: reason }
+    });
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Revoke every device session of a user, optionally keeping one
+   */
+  async revokeAllSessions(userId, reason = "logout_all", exceptSessionId = null) {
+    const query = { userId, revokedAt: null };
+    if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+    const result = await RefreshToken.updateMany(query, {
+      $set: { revokedAt: new Date(), revokedReason: reason }
+    });
+    return result.modifiedCount;
+  }
+
+  async listSessions(userId) {
+    return RefreshToken.find({
+      userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .sort({ lastUsedAt: -1 })
+      .select("userAgent ipAddress lastUsedAt createdAt expiresAt");
+  }
+}
+
+module.exports = new TokenService();
@@ -0,0 +1,153 @@
+/**
+ * TOTP Service - RFC 6238 time-based one-time passwords (HMAC-SHA1, 6 digits, 30s)
+ * Works entirely offline. Every method takes an optional timestamp, and the
+ * clock itself can be swapped with setClock() to test against a fixed time.
+ */
+
+const crypto = require("crypto");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+class TotpService {
+  constructor() {
+    this.digits = 6;
+    this.period = 30; // seconds
+    this.window = 1; // accept codes one step before/after to absorb clock drift
+    this.issuer = process.env.TOTP_ISSUER || "InterviewIQ";
+    this.clock = () => Date.now();
+  }
+
+  /**
+   * Replace the time source (milliseconds since epoch)
+   */
+  setClock(clock) {
+    this.clock = clock || (() => Date.now());
+  }
+
+  base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = "";
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  base32Decode(input) {
+    const cleaned = String(input).toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) throw new Error("Invalid base32 character in secret");
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  /**
+   * Generate a new random shared secret (base32, 160 bits)
+   */
+  generateSecret() {
+    return this.base32Encode(crypto.randomBytes(20));
+  }
+
+  getCounter(timestamp) {
+    return Math.floor(timestamp / 1000 / this.period);
+  }
+
+  /**
+   * HOTP value for a counter (RFC 4226)
+   */
+  generateHotp(secret, counter) {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac("sha1", this.base32Decode(secret)).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+      | (hmac[offset + 1] << 16)
+      | (hmac[offset + 2] << 8)
+      | hmac[offset + 3];
+
+    return String(binary % Math.pow(10, this.digits)).padStart(this.digits, "0");
+  }
+
+  /**
+   * Current TOTP code for a secret
+   */
+  generateCode(secret, timestamp = this.clock()) {
+    return this.generateHotp(secret, this.getCounter(timestamp));
+  }
+
+  /**
+   * Check a code against the secret, allowing +/- window time steps
+   * @returns {number|null} The matching time step, or null when the code is wrong
+   */
+  verifyCode(secret, code, timestamp = this.clock()) {
+    const normalized = String(code || "").replace(/\s/g, "");
+    if (!/^\d+$/.test(normalized) || normalized.length !== this.digits) return null;
+
+    const counter = this.getCounter(timestamp);
+    for (let drift = -this.window; drift <= this.window; drift++) {
+      const candidate = this.generateHotp(secret, counter + drift);
+      if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+        return counter + drift;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * otpauth:// URI for authenticator apps (render it as a QR code on the client)
+   */
+  getProvisioningUri(secret, accountName) {
+    const label = encodeURIComponent(`${this.issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: this.issuer,
+      algorithm: "SHA1",
+      digits: String(this.digits),
+      period: String(this.period)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  /**
+   * Generate one-time recovery codes, formatted xxxxx-xxxxx (10 hex digits)
+   */
+  generateRecoveryCodes(count = 10) {
+    const codes = [];
+    for (let i = 0; i < count; i++) {
+      const raw = crypto.randomBytes(5).toString("hex");
+      codes.push(`${raw.substring(0, 5)}-${raw.substring(5)}`);
+    }
+    return codes;
+  }
+
+  hashRecoveryCode(code) {
+    const normalized = String(code || "").trim().toLowerCase().replace(/[^a-z0-9]/g, "");
+    return crypto.createHash("sha256").update(normalized).digest("hex");
+  }
+}
+
+module.exports = new TotpService();
@@ -0,0 +1,94 @@
+/**
+ * Transcript Confidence Service - flags what the speech-to-text engine was unsure of
+ * Turns a transcription's segments into a token list with per-word confidence and rates
+ * the transcript as a whole, so the candidate can fix likely mis-transcriptions while
+ * reviewing it, before the answer is submitted for feedback.
+ */
+
+class TranscriptConfidenceService {
+  constructor() {
+    // Words below this probability are flagged for review
+    this.lowConfidence = parseFloat(process.env.TRANSCRIPT_LOW_CONFIDENCE) || 0.5;
+    // Whisper's own hallucination heuristics: a segment that is probably noise or silence
+    this.noSpeechThreshold = 0.6;
+    this.lowLogprobThreshold = -1.0;
+  }
+
+  /**
+   * Token list for review
+   * @param {Array} segments - [{ start, end, text, avg_logprob, no_speech_prob, words: [{ word, start, end, probability }] }]
+   * @returns {Array} [{ text, start, end, confidence, lowConfidence, segment }]; confidence is null when unknown
+   */
+  buildTokens(segments) {
+    const tokens = [];
+    segments.forEach((segment, segmentIndex) => {
+      const doubtfulSegment = this.isDoubtfulSegment(segment);
+
+      if (segment.words && segment.words.length > 0) {
+        segment.words.forEach(word => {
+          if (!word.word || !word.word.trim()) return;
+          const confidence = typeof word.probability === 'number' ? word.probability : null;
+          tokens.push({
+            text: word.word.trim(),
+            start: word.start,
+            end: word.end,
+            confidence,
+            lowConfidence: doubtfulSegment || (confidence !== null && confidence < this.lowConfidence),
+            segment: segmentIndex
+          });
+        });
+        return;
+      }
+
+      // No word timings: every word takes the segment's verdict
+      (segment.text || '').split(/\s+/).filter(Boolean).forEach(text => {
+        tokens.push({ text, start: segment.start, end: segment.end, confidence: null, lowConfidence: doubtfulSegment, segment: segmentIndex });
+      });
+    });
+    return tokens;
+  }
+
+  isDoubtfulSegment(segment) {
+    return typeof segment.no_speech_prob === 'number' && typeof segment.avg_logprob === 'number' &&
+      segment.no_speech_prob > this.noSpeechThreshold && segment.avg_logprob < this.lowLogprobThreshold;
+  }
+
+  /**
+   * Overall quality of a transcript
+   * @returns {Object} { rating: 'good'|'fair'|'poor'|'unknown', averageConfidence, lowConfidenceCount,
+   *   lowConfidenceRatio, doubtfulSegments, warnings }
+   */
+  rate(segments, tokens) {
+    const scored = tokens.filter(token => token.confidence !== null);
+    const lowConfidenceCount = tokens.filter(token => token.lowConfidence).length;
+    const doubtfulSegments = segments.filter(segment => this.isDoubtfulSegment(segment)).length;
+    const averageConfidence = scored.length > 0
+      ? Math.round((scored.reduce((sum, token) => sum + token.confidence, 0) / scored.length) * 1000) / 1000
+      : null;
+    const lowConfidenceRatio = tokens.length > 0 ? Math.round((lowConfidenceCount / tokens.length) * 1000) / 1000 : 0;
+
+    const warnings = [];
+    if (lowConfidenceCount > 0) {
+      warnings.push(`${lowConfidenceCount} word(s) may be mis-transcribed. Check the highlighted words before submitting.`);
+    }
+    if (doubtfulSegments > 0) {
+      warnings.push("Part of the recording sounds like silence or background noise; text there may be made up.");
+    }
+
+    let rating;
+    if (averageConfidence === null && doubtfulSegments === 0) {
+      rating = 'unknown'; // the engine reported no confidence at all
+    } else if (lowConfidenceRatio > 0.25 || doubtfulSegments > 0 || (averageConfidence !== null && averageConfidence < 0.6)) {
+      rating = 'poor';
+      warnings.push("The transcript is likely inaccurate. Consider recording again in a quieter place or closer to the microphone.");
+    } else if (lowConfidenceRatio > 0.1 || (averageConfidence !== null && averageConfidence < 0.8)) {
+      rating = 'fair';
+    } else {
+      rating = 'good';
+    }
+
+    return { rating, averageConfidence, lowConfidenceCount, lowConfidenceRatio, doubtfulSegments, warnings };
+  }
+}
+
+module.exports = new TranscriptConfidenceService();
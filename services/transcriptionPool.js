@@ -0,0 +1,292 @@
+/**
+ * Transcription Pool - keeps Whisper loaded in long-lived Python workers
+ * Starts TRANSCRIPTION_WORKERS copies of transcription_worker.py on first use and talks to
+ * them in JSON lines over stdin/stdout (one request per worker at a time). Requests wait
+ * in a bounded queue, idle workers are pinged and replaced when they stop answering,
+ * and a worker that crashes or hangs on a request is restarted with backoff.
+ * Used by the faster-whisper STT provider; errors carry the codes of sttErrors.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { spawn } = require("child_process");
+const { sttError } = require("./sttErrors");
+
+class TranscriptionPool {
+  constructor() {
+    this.size = parseInt(process.env.TRANSCRIPTION_WORKERS) || 1;
+    this.modelSize = process.env.WHISPER_MODEL_SIZE || 'tiny';
+    this.maxQueue = parseInt(process.env.TRANSCRIPTION_QUEUE_LIMIT) || 20;
+    this.requestTimeoutMs = (parseInt(process.env.TRANSCRIPTION_TIMEOUT_SECONDS) || 90) * 1000;
+    // The first start may have to download the model
+    this.startTimeoutMs = 5 * 60 * 1000;
+    this.healthIntervalMs = 30000;
+    this.pingTimeoutMs = 5000;
+    this.maxRestartDelayMs = 30000;
+
+    this.rootDir = path.join(__dirname, '..');
+    this.workers = [];
+    this.queue = []; // waiting requests
+    this.nextId = 1;
+    this.started = false;
+    this.healthTimer = null;
+    this.fatalError = null; // { code, message } when workers cannot start at all
+  }
+
+  // Virtual environment Python when there is one, system Python otherwise
+  getPythonExecutable() {
+    const venvPythonExe = process.platform === 'win32'
+      ? path.join(this.rootDir, '.venv', 'Scripts', 'python.exe')
+      : path.join(this.rootDir, '.venv', 'bin', 'python');
+    return fs.existsSync(venvPythonExe) ? venvPythonExe : 'python';
+  }
+
+  /**
+   * Transcribe an audio file on the next free worker
+   * @param {Function} onProgress - called with { stage, percent }
+   * @param {string} language - ISO 639-1 code passed to Whisper
+   * @returns {Promise<Object>} { transcript, feedback, processing_time, word_count, duration, segments }
+   */
+  transcribe(audioPath, question, onProgress = () => {}, language = 'en') {
+    this.start();
+
+    // Back-pressure: callers (the job queue) retry later instead of piling up here
+    if (this.queue.length >= this.maxQueue) {
+      return Promise.reject(sttError('busy'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = { id: String(this.nextId++), audioPath, question, language, onProgress, resolve, reject };
+      // Waiting counts toward the timeout too, so nothing waits forever behind a broken pool
+      request.timer = setTimeout(() => {
+        this.queue = this.queue.filter(queued => queued !== request);
+        reject(sttError('timeout', "Audio processing timeout. All transcription workers are busy."));
+      }, this.requestTimeoutMs);
+
+      this.queue.push(request);
+      this.dispatch();
+    });
+  }
+
+  start() {
+    if (this.started) return;
+    this.started = true;
+    this.fatalError = null;
+
+    for (let slot = 0; slot < this.size; slot++) {
+      this.spawnWorker(slot, 0);
+    }
+
+    this.healthTimer = setInterval(() => this.checkHealth(), this.healthIntervalMs);
+    this.healthTimer.unref();
+    console.log(`🎙️ Starting ${this.size} transcription worker(s) with Whisper model "${this.modelSize}"`);
+  }
+
+  /**
+   * Stop every worker; waiting requests fail
+   */
+  stop() {
+    this.started = false;
+    clearInterval(this.healthTimer);
+    this.healthTimer = null;
+    this.failQueue(sttError('unavailable'));
+
+    this.workers.forEach(worker => {
+      if (worker.state === 'stopped') return;
+      // Closing stdin lets the worker exit on its own
+      worker.process.stdin.end();
+      setTimeout(() => worker.process.kill(), 5000).unref();
+    });
+  }
+
+  spawnWorker(slot, restarts) {
+    const child = spawn(this.getPythonExecutable(), ['transcription_worker.py', this.modelSize], {
+      cwd: this.rootDir
+    });
+    const worker = { slot, process: child, state: 'starting', request: null, buffer: '', restarts, pendingPing: null };
+    this.workers[slot] = worker;
+
+    worker.startTimer = setTimeout(() => this.restartWorker(worker, 'engine_error', "did not load the model in time"), this.startTimeoutMs);
+
+    child.stdout.on("data", (data) => {
+      const lines = (worker.buffer + data.toString()).split("\n");
+      worker.buffer = lines.pop();
+      lines.forEach(line => {
+        if (line.trim()) this.handleMessage(worker, line.trim());
+      });
+    });
+    child.stderr.on("data", (data) => {
+      const text = data.toString().trim();
+      if (text) console.error(`🐍 Transcription worker ${slot}:`, text);
+    });
+    // Failing to spawn emits 'error' and possibly 'exit'; handleExit runs once
+    child.on("error", (error) => {
+      if (error.code === 'ENOENT') this.fatalError = { code: 'engine_missing', message: `Python not found: ${error.message}` };
+      this.handleExit(worker, error.message);
+    });
+    child.stdin.on("error", (error) => console.error(`Transcription worker ${slot} stdin error:`, error.message));
+    child.on("exit", (code, signal) => this.handleExit(worker, `exited with ${signal || code}`));
+  }
+
+  handleMessage(worker, line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      console.error(`Transcription worker ${worker.slot} wrote a non-protocol line:`, line.substring(0, 200));
+      return;
+    }
+
+    switch (message.type) {
+      case 'ready':
+        clearTimeout(worker.startTimer);
+        worker.state = 'ready';
+        worker.restarts = 0;
+        console.log(`🎙️ Transcription worker ${worker.slot} ready (model ${message.model})`);
+        this.dispatch();
+        break;
+      case 'fatal':
+        // The worker exits right after; don't restart it into the same failure
+        this.fatalError = { code: message.code || 'engine_missing', message: message.error };
+        console.error(`❌ Transcription worker ${worker.slot} failed to start:`, message.error);
+        break;
+      case 'pong':
+        if (worker.pendingPing === message.id) {
+          clearTimeout(worker.pingTimer);
+          worker.pendingPing = null;
+          this.dispatch();
+        }
+        break;
+      case 'progress':
+        if (worker.request?.id === message.id) {
+          worker.request.onProgress({ stage: message.stage, percent: message.percent });
+        }
+        break;
+      case 'result':
+        this.finishRequest(worker, message.id, null, {
+          transcript: message.transcript,
+          feedback: message.feedback,
+          processing_time: message.processing_time,
+          word_count: message.word_count,
+          duration: message.duration,
+          segments: message.segments || []
+        });
+        break;
+      case 'error':
+        this.finishRequest(worker, message.id, sttError(message.code, message.error));
+        break;
+      default:
+        console.error(`Transcription worker ${worker.slot} sent an unknown message:`, message.type);
+    }
+  }
+
+  // Hand waiting requests to idle workers
+  dispatch() {
+    for (const worker of this.workers) {
+      if (this.queue.length === 0) return;
+      if (worker.state !== 'ready' || worker.pendingPing) continue;
+
+      const request = this.queue.shift();
+      clearTimeout(request.timer);
+      request.timer = setTimeout(() => {
+        this.restartWorker(worker, 'timeout', "Audio processing timeout. Please try a shorter recording.");
+      }, this.requestTimeoutMs);
+
+      worker.state = 'busy';
+      worker.request = request;
+      worker.process.stdin.write(JSON.stringify({
+        id: request.id,
+        type: 'transcribe',
+        audio_path: path.resolve(request.audioPath),
+        question: request.question,
+        language: request.language
+      }) + "\n");
+    }
+  }
+
+  finishRequest(worker, id, error, result) {
+    const request = worker.request;
+    if (!request || request.id !== id) return;
+
+    clearTimeout(request.timer);
+    worker.request = null;
+    worker.state = 'ready';
+    error ? request.reject(error) : request.resolve(result);
+    this.dispatch();
+  }
+
+  // Kill a worker that hangs; handleExit fails its request and starts a replacement
+  restartWorker(worker, code, reason) {
+    if (worker.state === 'stopped') return;
+    console.error(`⚠️ Restarting transcription worker ${worker.slot}: ${reason}`);
+    worker.killReason = { code, message: reason };
+    worker.process.kill();
+  }
+
+  handleExit(worker, reason) {
+    if (worker.state === 'stopped') return;
+    worker.state = 'stopped';
+    clearTimeout(worker.startTimer);
+    clearTimeout(worker.pingTimer);
+
+    if (worker.request) {
+      clearTimeout(worker.request.timer);
+      const killReason = worker.killReason || { code: 'engine_error', message: `Transcription worker ${reason}` };
+      worker.request.reject(sttError(killReason.code, killReason.message));
+      worker.request = null;
+    }
+
+    if (!this.started) return;
+
+    if (this.fatalError) {
+      // Missing Python or dependencies: retrying can't help until someone fixes the install
+      this.failQueue(sttError(this.fatalError.code, this.fatalError.message));
+      if (this.workers.every(other => other.state === 'stopped')) {
+        this.started = false;
+        clearInterval(this.healthTimer);
+      }
+      return;
+    }
+
+    const restarts = worker.restarts + 1;
+    const delay = Math.min(1000 * 2 ** (restarts - 1), this.maxRestartDelayMs);
+    console.error(`⚠️ Transcription worker ${worker.slot} ${reason}; restarting in ${delay / 1000}s`);
+    setTimeout(() => {
+      if (this.started && this.workers[worker.slot] === worker) this.spawnWorker(worker.slot, restarts);
+    }, delay).unref();
+  }
+
+  failQueue(error) {
+    const waiting = this.queue;
+    this.queue = [];
+    waiting.forEach(request => {
+      clearTimeout(request.timer);
+      request.reject(error);
+    });
+  }
+
+  // Ping idle workers; one that doesn't answer in time is replaced
+  checkHealth() {
+    this.workers.forEach(worker => {
+      if (worker.state !== 'ready' || worker.pendingPing) return;
+
+      worker.pendingPing = `ping-${this.nextId++}`;
+      worker.pingTimer = setTimeout(() => this.restartWorker(worker, 'engine_error', "stopped answering health checks"), this.pingTimeoutMs);
+      worker.process.stdin.write(JSON.stringify({ id: worker.pendingPing, type: 'ping' }) + "\n");
+    });
+  }
+
+  /**
+   * Worker states for diagnostics
+   */
+  getStatus() {
+    return {
+      modelSize: this.modelSize,
+      queued: this.queue.length,
+      maxQueue: this.maxQueue,
+      workers: this.workers.map(worker => ({ slot: worker.slot, state: worker.state, restarts: worker.restarts }))
+    };
+  }
+}
+
+module.exports = new TranscriptionPool();
@@ -0,0 +1,76 @@
+/**
+ * Transcription Service - turns a recorded answer into text with the configured STT provider
+ * STT_PROVIDER selects faster-whisper (default), whisper-cpp or mock; see sttProviders.
+ * Runs inside transcription jobs. Errors carry a `code` from sttErrors and `retryable: false`
+ * when trying again cannot help (missing FFmpeg or engine, unreadable audio, nothing said).
+ */
+
+const { FasterWhisperProvider, WhisperCppProvider, MockProvider } = require("./sttProviders");
+const { sttError, toSttError } = require("./sttErrors");
+
+class TranscriptionService {
+  constructor() {
+    this.provider = this.createProvider(process.env.STT_PROVIDER || "faster-whisper");
+  }
+
+  createProvider(type) {
+    switch (type) {
+      case "faster-whisper":
+        return new FasterWhisperProvider();
+      case "whisper-cpp":
+        return new WhisperCppProvider({
+          binary: process.env.WHISPER_CPP_BIN || "whisper-cli",
+          modelPath: process.env.WHISPER_CPP_MODEL,
+          threads: parseInt(process.env.WHISPER_CPP_THREADS) || 4,
+          timeoutMs: (parseInt(process.env.TRANSCRIPTION_TIMEOUT_SECONDS) || 90) * 1000
+        });
+      case "mock":
+        return new MockProvider({ fixturesPath: process.env.STT_MOCK_FIXTURES });
+      default:
+        throw new Error(`Unknown STT_PROVIDER: ${type}`);
+    }
+  }
+
+  /**
+   * Replace the active provider (e.g. with a stub in tests)
+   */
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  /**
+   * Transcribe an audio file
+   * @param {Function} onProgress - called with { stage, percent } while transcribing
+   * @param {string} language - ISO 639-1 code of the spoken language (the session's setting)
+   * @returns {Promise<Object>} { transcript, duration, processing_time, provider,
+   *   segments: [{ start, end, text, avg_logprob, no_speech_prob, words: [{ word, start, end, probability }] }] }
+   */
+  async transcribe(audioPath, questionText, onProgress = () => {}, language = 'en') {
+    console.log("🎤 Starting audio processing:", { audioPath, provider: this.provider.name, questionLength: questionText.length });
+
+    let result;
+    try {
+      // Session settings from /start aren't validated; engines reject unknown codes
+      const spokenLanguage = /^[a-z]{2}$/.test(language || '') ? language : 'en';
+      result = await this.provider.transcribe(audioPath, { question: questionText, language: spokenLanguage, onProgress });
+    } catch (error) {
+      throw toSttError(error);
+    }
+
+    const transcript = (result.transcript || "").trim();
+    if (!transcript) {
+      throw sttError('no_speech');
+    }
+    return { ...result, transcript, segments: result.segments || [], provider: this.provider.name };
+  }
+
+  stop() {
+    this.provider.stop();
+  }
+
+  getStatus() {
+    return this.provider.getStatus();
+  }
+}
+
+module.exports = new TranscriptionService();
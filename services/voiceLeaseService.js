@@ -0,0 +1,103 @@
+/**
+ * Voice Lease Service - one voice answer in processing per session at a time
+ * The lease has an owner (the transcription job) and an expiry. It is taken and released
+ * with atomic updates, is released by the job whatever the outcome, and simply lapses
+ * after VOICE_LEASE_SECONDS if the process holding it dies.
+ */
+
+const mongoose = require("mongoose");
+const InterviewSession = require("../models/interviewSession");
+
+class VoiceLeaseService {
+  constructor() {
+    // Long enough for a transcription job including its retries
+    this.leaseMs = (parseInt(process.env.VOICE_LEASE_SECONDS) || 300) * 1000;
+  }
+
+  // Query part matching sessions whose lease is free or has lapsed
+  freeLeaseQuery(now = new Date()) {
+    return {
+      $or: [
+        { "voiceLease.expiresAt": { $exists: false } },
+        { "voiceLease.expiresAt": null },
+        { "voiceLease.expiresAt": { $lte: now } }
+      ]
+    };
+  }
+
+  /**
+   * Take the lease on an active session
+   * @returns {Object|null} The lease ({ owner, questionIndex, acquiredAt, expiresAt }), or null when it is held
+   */
+  async acquire(sessionId, userId, questionIndex) {
+    const now = new Date();
+    const lease = {
+      owner: String(new mongoose.Types.ObjectId()),
+      questionIndex,
+      acquiredAt: now,
+      expiresAt: new Date(now.getTime() + this.leaseMs)
+    };
+
+    const updated = await InterviewSession.findOneAndUpdate(
+      { _id: sessionId, userId, status: "active", ...this.freeLeaseQuery(now) },
+      { $set: { voiceLease: lease } },
+      { new: true, projection: { voiceLease: 1 } }
+    );
+    return updated ? lease : null;
+  }
+
+  /**
+   * Push the expiry back while the owner is still working. Matching on the owner alone:
+   * a lease that lapsed but wasn't taken over still belongs to the job holding it.
+   * @returns {boolean} false when the lease was released or taken over meanwhile
+   */
+  async renew(sessionId, owner) {
+    const result = await InterviewSession.updateOne(
+      { _id: sessionId, "voiceLease.owner": owner },
+      { $set: { "voiceLease.expiresAt": new Date(Date.now() + this.leaseMs) } }
+    );
+    return result.matchedCount > 0;
+  }
+
+  // Only the owner's release counts, so a late job can't free a newer lease
+  async release(sessionId, owner, fields = {}) {
+    await InterviewSession.updateOne(
+      { _id: sessionId, "voiceLease.owner": owner },
+      { $unset: { voiceLease: 1 }, ...(Object.keys(fields).length ? { $set: fields } : {}) }
+    );
+  }
+
+  /**
+   * Release whatever lease a session has (user or admin override)
+   * @returns {Object|null} The lease that was released
+   */
+  async forceRelease(sessionQuery) {
+    const before = await InterviewSession.findOneAndUpdate(
+      { ...sessionQuery, "voiceLease.owner": { $exists: true } },
+      { $unset: { voiceLease: 1 } },
+      { projection: { voiceLease: 1 } }
+    );
+    return before ? before.voiceLease : null;
+  }
+
+  /**
+   * Public view of a session's lease
+   */
+  describe(session) {
+    const lease = session.voiceLease;
+    if (!lease || !lease.owner) return { held: false };
+
+    const expired = lease.expiresAt <= new Date();
+    return {
+      held: !expired,
+      expired,
+      owner: lease.owner,
+      questionIndex: lease.questionIndex,
+      acquiredAt: lease.acquiredAt,
+      expiresAt: lease.expiresAt,
+      retryAfterSeconds: expired ? 0 : Math.ceil((lease.expiresAt - Date.now()) / 1000)
+    };
+  }
+}
+
+module.exports = new VoiceLeaseService();
@@ -0,0 +1,98 @@
+import sys
+import json
+import os
+
+# Long-lived transcription worker, managed by services/transcriptionPool.js.
+# Loads the Whisper model once, then serves requests over a JSON-lines protocol:
+#   stdin:  {"id": "...", "type": "transcribe", "audio_path": "...", "question": "...", "language": "en"}
+#           {"id": "...", "type": "ping"}
+#   stdout: {"type": "ready", "model": "tiny"}            once the model is loaded
+#           {"type": "fatal", "code": "engine_missing", "error": "..."}  startup failed, the worker exits
+#           {"id": "...", "type": "progress", "stage": "transcribing", "percent": 40}
+#           {"id": "...", "type": "result", "transcript": "...", "duration": 12.4, "segments": [...], ...}
+#           {"id": "...", "type": "error", "code": "audio_invalid", "error": "..."}
+# Error codes are those of services/sttErrors.js, which also decides what is retried.
+#           {"id": "...", "type": "pong"}
+# stdout carries protocol lines only; logging goes to stderr.
+
+
+def send(message):
+    sys.stdout.write(json.dumps(message) + "\n")
+    sys.stdout.flush()
+
+
+def log(text):
+    print(f"🐍 [worker {os.getpid()}] {text}", file=sys.stderr, flush=True)
+
+
+try:
+    from process_answer import load_model, transcribe, basic_feedback, describe_error
+except Exception as e:
+    send({"type": "fatal", "code": "engine_missing", "error": f"Missing dependency: {e}"})
+    sys.exit(1)
+
+
+def handle_transcribe(model, request):
+    request_id = request.get("id")
+    audio_path = request.get("audio_path", "")
+    language = request.get("language") or "en"
+    log(f"Transcribing {audio_path} ({language})")
+
+    def progress(stage, percent):
+        send({"id": request_id, "type": "progress", "stage": stage, "percent": percent})
+
+    try:
+        transcript, transcription_time, segments, duration = transcribe(model, audio_path, progress, language)
+        feedback, word_count = basic_feedback(transcript)
+        send({
+            "id": request_id,
+            "type": "result",
+            "transcript": transcript,
+            "feedback": feedback,
+            "processing_time": round(transcription_time, 2),
+            "word_count": word_count,
+            "duration": duration,
+            "segments": segments
+        })
+    except Exception as e:
+        code, message = describe_error(e)
+        send({"id": request_id, "type": "error", "code": code, "error": message})
+
+
+def main():
+    model_size = sys.argv[1] if len(sys.argv) > 1 else os.environ.get("WHISPER_MODEL_SIZE", "tiny")
+    log(f"Loading Whisper model '{model_size}'")
+    try:
+        model = load_model(model_size)
+    except Exception as e:
+        # Typically the model could not be downloaded or loaded
+        code, message = describe_error(e)
+        send({"type": "fatal", "code": "engine_missing" if code == "engine_error" else code, "error": message})
+        sys.exit(1)
+
+    send({"type": "ready", "model": model_size})
+    log("Ready")
+
+    for line in sys.stdin:
+        line = line.strip()
+        if not line:
+            continue
+        try:
+            request = json.loads(line)
+        except ValueError:
+            log(f"Ignoring malformed request: {line[:100]}")
+            continue
+
+        if request.get("type") == "ping":
+            send({"id": request.get("id"), "type": "pong"})
+        elif request.get("type") == "transcribe":
+            handle_transcribe(model, request)
+        else:
+            send({"id": request.get("id"), "type": "error", "code": "engine_error", "error": f"Unknown request type: {request.get('type')}"})
+
+    # stdin closed: the pool is shutting us down
+    log("Exiting")
+
+
+if __name__ == "__main__":
+    main()
@@ -0,0 +1,32 @@
+// Background job worker: runs feedback and transcription jobs outside the web process.
+// Use with JOB_WORKER_MODE=external; start as many as needed.
+require("dotenv").config();
+const mongoose = require("mongoose");
+const jobQueue = require("./services/jobQueue");
+const transcriptionService = require("./services/transcriptionService");
+// Registers the job handlers
+require("./services/answerProcessingService");
+
+mongoose
+  .connect(process.env.MONGO_URI)
+  .then(() => {
+    console.log("✅ MongoDB connected");
+    // The web process publishes session events for the jobs finished here
+    jobQueue.start({ deliverEvents: false });
+  })
+  .catch((err) => {
+    console.error("MongoDB connection error:", err);
+    process.exit(1);
+  });
+
+// Finish the jobs in hand before exiting; unfinished ones are retried after their lock expires
+const shutdown = async (signal) => {
+  console.log(`🛑 ${signal} received, finishing running jobs...`);
+  await jobQueue.stop();
+  transcriptionService.stop();
+  await mongoose.disconnect();
+  process.exit(0);
+};
+
+process.on("SIGINT", () => shutdown("SIGINT"));
+process.on("SIGTERM", () => shutdown("SIGTERM"));